@@ -0,0 +1,369 @@
+/**
+ * Mock REST backend - offline stand-in for the real API during development
+ *
+ * Implements the contract used by RestAdapter (src/js/core/StorageAdapters.js).
+ * Shop data (products, settings, orders, ...) is shared; customer data (designs,
+ * autosave, history, shares) is kept per user and never listed to others:
+ *   GET    /api/health                       → { ok: true }
+ *   GET    /api/data                         → { key: value, ... } (shop data)
+ *   GET    /api/data/:key                    → value
+ *   PUT    /api/data/:key                    JSON body (whole value)
+ *   DELETE /api/data/:key
+ *   PUT    /api/data/:key/:id[?index=n]      JSON body (one record, see below)
+ *   DELETE /api/data/:key/:id
+ *   ...and the same under /api/users/:user/data for a user's own data
+ *   GET    /api/shared/:key/:id              → one record of any user (shares only)
+ *   GET    /api/images/:id                   → image bytes
+ *   PUT    /api/images/:id                   image bytes (Content-Type is kept)
+ *   DELETE /api/images/:id
+ *
+ * A record is an entry of a list (matched by its id, inserted at index when new)
+ * or a property of an object. Writing single records lets clients change their
+ * own records without overwriting everyone else's.
+ *
+ * There's no authentication: the user id in the path stands in for the logged-in
+ * user, which a real backend takes from the session instead.
+ *
+ * Data is written to server/.data/ so it survives restarts. No dependencies.
+ *
+ * Usage: node server/mock-server.js [--port 3001] [--data <dir>]
+ * Then set window.CPD_CONFIG.storage to { adapter: 'rest', baseUrl: 'http://localhost:3001/api' }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || process.env.PORT || 3001);
+const DATA_DIR = path.resolve(args.data || path.join(__dirname, '.data'));
+const DATA_FILE = path.join(DATA_DIR, 'data.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const IMAGE_DIR = path.join(DATA_DIR, 'images');
+const IMAGE_INDEX_FILE = path.join(DATA_DIR, 'images.json');
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const ID_PATTERN = /^[\w.-]+$/;
+const DOTS_PATTERN = /^\.+$/;  // '.' and '..' would name the image directory or its parent
+const PUBLIC_KEYS = ['shares'];  // Customer data anyone with the id may read (share links)
+
+fs.mkdirSync(IMAGE_DIR, { recursive: true });
+
+// Maps, so keys like __proto__ or constructor are plain keys
+const data = new Map(Object.entries(readJSON(DATA_FILE)));
+const users = new Map(Object.entries(readJSON(USERS_FILE)).map(([user, values]) => [user, new Map(Object.entries(values))]));
+const imageTypes = new Map(Object.entries(readJSON(IMAGE_INDEX_FILE)));  // id → Content-Type
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+
+    try {
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+        } else {
+            await route(req, res);
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) console.error(error);
+        sendJSON(res, status, { error: error.message });
+    }
+
+    console.log(`${req.method} ${req.url} → ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock API listening on http://localhost:${PORT}/api (data in ${DATA_DIR})`);
+});
+
+// =========================================================================
+// Routes
+// =========================================================================
+
+async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeSegment);
+
+    if (segments.shift() !== 'api') {
+        throw httpError(404, 'Not found');
+    }
+
+    const [resource, ...params] = segments;
+    params.forEach(checkId);
+
+    if (resource === 'health' && params.length === 0 && req.method === 'GET') {
+        return sendJSON(res, 200, { ok: true });
+    }
+    if (resource === 'data' && params.length <= 2) {
+        return handleStore(req, res, url, data, DATA_FILE, params);
+    }
+    if (resource === 'users' && params.length >= 2 && params.length <= 4 && params[1] === 'data') {
+        const [user, , ...rest] = params;
+        return handleStore(req, res, url, getUserData(user), USERS_FILE, rest);
+    }
+    if (resource === 'shared' && params.length === 2 && req.method === 'GET') {
+        return getSharedRecord(res, ...params);
+    }
+    if (resource === 'images' && params.length === 1) {
+        return handleImage(req, res, params[0]);
+    }
+
+    throw httpError(404, 'Not found');
+}
+
+/**
+ * One key/value store: shop data or one user's data
+ * @param {Array} params - [] (all), [key] or [key, recordId]
+ */
+async function handleStore(req, res, url, store, file, [key, id]) {
+    if (key === undefined) {
+        if (req.method !== 'GET') throw httpError(405, 'Method not allowed');
+        return sendJSON(res, 200, Object.fromEntries(store));
+    }
+
+    if (id === undefined) {
+        switch (req.method) {
+            case 'GET':
+                if (!store.has(key)) throw httpError(404, `No data for ${key}`);
+                return sendJSON(res, 200, store.get(key));
+
+            case 'PUT':
+                store.set(key, await readJSONBody(req));
+                save(file);
+                return send(res, 204);
+
+            case 'DELETE':
+                store.delete(key);
+                save(file);
+                return send(res, 204);
+        }
+        throw httpError(405, 'Method not allowed');
+    }
+
+    switch (req.method) {
+        case 'GET': {
+            const record = findRecord(store.get(key), id);
+            if (record === undefined) throw httpError(404, `No record ${id} in ${key}`);
+            return sendJSON(res, 200, record);
+        }
+
+        case 'PUT': {
+            const record = await readJSONBody(req);
+            const index = url.searchParams.has('index') ? Number(url.searchParams.get('index')) : null;
+            if (index !== null && !(Number.isInteger(index) && index >= 0)) {
+                throw httpError(400, 'Invalid index');
+            }
+            store.set(key, putRecord(store.get(key), id, record, index));
+            save(file);
+            return send(res, 204);
+        }
+
+        case 'DELETE':
+            if (store.has(key)) {
+                store.set(key, deleteRecord(store.get(key), id));
+                save(file);
+            }
+            return send(res, 204);
+    }
+
+    throw httpError(405, 'Method not allowed');
+}
+
+function getSharedRecord(res, key, id) {
+    if (!PUBLIC_KEYS.includes(key)) throw httpError(404, 'Not found');
+
+    for (const values of users.values()) {
+        const record = findRecord(values.get(key), id);
+        if (record !== undefined) return sendJSON(res, 200, record);
+    }
+    throw httpError(404, `No record ${id} in ${key}`);
+}
+
+async function handleImage(req, res, id) {
+    const file = path.join(IMAGE_DIR, id);
+
+    switch (req.method) {
+        case 'GET':
+            if (!imageTypes.has(id)) throw httpError(404, `No image ${id}`);
+            res.writeHead(200, { 'Content-Type': imageTypes.get(id), 'Cache-Control': 'max-age=31536000, immutable' });
+            return res.end(fs.readFileSync(file));
+
+        case 'PUT':
+            fs.writeFileSync(file, await readBody(req));
+            imageTypes.set(id, req.headers['content-type'] || 'application/octet-stream');
+            writeJSON(IMAGE_INDEX_FILE, Object.fromEntries(imageTypes));
+            return send(res, 204);
+
+        case 'DELETE':
+            fs.rmSync(file, { force: true });
+            imageTypes.delete(id);
+            writeJSON(IMAGE_INDEX_FILE, Object.fromEntries(imageTypes));
+            return send(res, 204);
+    }
+
+    throw httpError(405, 'Method not allowed');
+}
+
+// =========================================================================
+// Records
+// =========================================================================
+
+function getUserData(user) {
+    if (!users.has(user)) users.set(user, new Map());
+    return users.get(user);
+}
+
+function isList(value) {
+    return Array.isArray(value);
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function findRecord(collection, id) {
+    if (isList(collection)) {
+        return collection.find(record => String(record?.id) === id);
+    }
+    if (isObject(collection) && Object.prototype.hasOwnProperty.call(collection, id)) {
+        return collection[id];
+    }
+    return undefined;
+}
+
+/**
+ * Replace or add a record; a missing collection becomes a list when an index is given
+ */
+function putRecord(collection, id, record, index) {
+    if (collection === undefined) {
+        collection = index !== null ? [] : {};
+    }
+
+    if (isList(collection)) {
+        const existing = collection.findIndex(item => String(item?.id) === id);
+        if (existing !== -1) {
+            collection[existing] = record;
+        } else {
+            collection.splice(index ?? collection.length, 0, record);
+        }
+        return collection;
+    }
+
+    if (isObject(collection)) {
+        Object.defineProperty(collection, id, { value: record, enumerable: true, writable: true, configurable: true });
+        return collection;
+    }
+
+    throw httpError(409, 'Value has no records');
+}
+
+function deleteRecord(collection, id) {
+    if (isList(collection)) {
+        return collection.filter(item => String(item?.id) !== id);
+    }
+    if (isObject(collection) && Object.prototype.hasOwnProperty.call(collection, id)) {
+        delete collection[id];
+    }
+    return collection;
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw httpError(400, 'Malformed URL encoding');
+    }
+}
+
+function checkId(id) {
+    if (!ID_PATTERN.test(id) || DOTS_PATTERN.test(id)) {
+        throw httpError(400, `Invalid id: ${id}`);
+    }
+}
+
+async function readJSONBody(req) {
+    const body = await readBody(req);
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw httpError(400, 'Body must be JSON');
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status) {
+    res.writeHead(status);
+    res.end();
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Write the store a route changed
+ */
+function save(file) {
+    if (file === USERS_FILE) {
+        writeJSON(USERS_FILE, Object.fromEntries([...users].map(([user, values]) => [user, Object.fromEntries(values)])));
+    } else {
+        writeJSON(DATA_FILE, Object.fromEntries(data));
+    }
+}
+
+/**
+ * Write JSON via a temp file so a crash never leaves half-written JSON
+ */
+function writeJSON(file, value) {
+    fs.writeFileSync(file + '.tmp', JSON.stringify(value));
+    fs.renameSync(file + '.tmp', file);
+}
+
+function parseArgs(argv) {
+    const result = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            result[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return result;
+}
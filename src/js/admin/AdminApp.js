@@ -3,6 +3,7 @@
  */
 
 import { dataStore } from './DataStore.js';
+import { SCHEMA_VERSION } from '../core/Migrations.js';
 import { PrintAreaEditor } from './PrintAreaEditor.js';
 
 class AdminApp {
@@ -28,6 +29,10 @@ class AdminApp {
             neckTags: { enabled: false, description: '' }
         };
 
+        // Import file waiting for confirmation, and its preview
+        this.pendingImport = null;
+        this.importPreview = null;
+
         this.init();
     }
 
@@ -432,8 +437,9 @@ class AdminApp {
     }
 
     /**
-     * Handle view image upload - compresses image to fit in localStorage
-     * Stores image in current color's viewImages for current view
+     * Handle view image upload
+     * Kept at full resolution with IndexedDB storage; compressed to fit the
+     * localStorage fallback. Stores image in current color's viewImages for current view
      */
     handleViewImageUpload(file) {
         if (!file) return;
@@ -442,8 +448,10 @@ class AdminApp {
         reader.onload = (e) => {
             const img = new Image();
             img.onload = () => {
-                // Compress image to reduce storage size
-                const compressedData = this.compressImage(img, 800, 0.7);
+                // Compress image to reduce storage size (localStorage fallback only)
+                const compressedData = this.store.canStoreLargeImages()
+                    ? e.target.result
+                    : this.compressImage(img, 800, 0.7);
 
                 // Store in current color's viewImages
                 const currentView = this.productViews[this.currentViewIndex];
@@ -999,16 +1007,7 @@ class AdminApp {
                     viewImages: c.viewImages || {}
                 }));
             } else {
-                // Migration: if old product has images in views, convert to color
                 this.initializeColors();
-                // Check for legacy view images
-                if (product.views?.some(v => v.image)) {
-                    product.views.forEach(v => {
-                        if (v.image) {
-                            this.productColors[0].viewImages[v.id] = v.image;
-                        }
-                    });
-                }
             }
             // Load sizes
             if (product.sizes && product.sizes.length > 0) {
@@ -1058,7 +1057,7 @@ class AdminApp {
         this.openModal('product-modal');
     }
 
-    saveProduct() {
+    async saveProduct() {
         // Make sure current view data is saved
         this.updateCurrentViewData();
 
@@ -1108,7 +1107,7 @@ class AdminApp {
             if (!proceed) return;
         }
 
-        const saved = this.store.saveProduct(product);
+        const saved = await this.store.saveProduct(product);
         if (saved) {
             console.log('Product saved successfully:', saved);
             this.closeModal('product-modal');
@@ -1192,11 +1191,11 @@ class AdminApp {
         });
 
         container.querySelectorAll('.btn-delete-product').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 if (confirm('Delete this product?')) {
                     const id = btn.closest('.grid-item').dataset.productId;
-                    this.store.deleteProduct(id);
+                    await this.store.deleteProduct(id);
                     this.renderProducts();
                     this.updateStats();
                 }
@@ -1325,11 +1324,20 @@ class AdminApp {
 
         document.getElementById('import-data-input')?.addEventListener('change', (e) => {
             this.importData(e.target.files[0]);
+            e.target.value = '';  // Allow choosing the same file again
+        });
+
+        document.getElementById('import-mode')?.addEventListener('change', () => {
+            this.renderImportPreview();
+        });
+
+        document.getElementById('confirm-import-btn')?.addEventListener('click', () => {
+            this.confirmImport();
         });
 
-        document.getElementById('clear-data-btn')?.addEventListener('click', () => {
+        document.getElementById('clear-data-btn')?.addEventListener('click', async () => {
             if (confirm('This will delete ALL data. Are you sure?')) {
-                this.store.clearAllData();
+                await this.store.clearAllData();
                 this.updateStats();
                 alert('All data cleared.');
             }
@@ -1340,29 +1348,64 @@ class AdminApp {
         const settings = this.store.getSettings();
         document.getElementById('setting-default-dpi').value = settings.defaultDPI || 300;
         document.getElementById('setting-default-unit').value = settings.defaultUnit || 'inches';
+
+        document.getElementById('storage-backend').textContent = this.store.getStorageUsage().backend;
+        document.getElementById('schema-version').textContent = SCHEMA_VERSION;
+        this.renderMigrationReport();
+    }
+
+    /**
+     * Show what the last schema migration changed
+     */
+    renderMigrationReport() {
+        const report = this.store.getMigrationReport();
+        const container = document.getElementById('migration-report');
+        if (!report) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.classList.remove('hidden');
+        document.getElementById('migration-report-title').textContent =
+            `Last migration (v${report.fromVersion} → v${report.toVersion}, ${new Date(report.migratedAt).toLocaleString()}): ` +
+            `${report.changes.length} change(s)`;
+
+        const list = document.getElementById('migration-report-list');
+        list.innerHTML = '';
+        report.changes.forEach(change => {
+            const item = document.createElement('li');
+            item.textContent = `${change.type} "${change.name || change.id || '(unnamed)'}": ${change.message}`;
+            list.appendChild(item);
+        });
     }
 
-    saveSettingsForm() {
+    async saveSettingsForm() {
         const settings = {
             defaultDPI: parseInt(document.getElementById('setting-default-dpi').value),
             defaultUnit: document.getElementById('setting-default-unit').value
         };
-        this.store.saveSettings(settings);
-        alert('Settings saved!');
+        if (await this.store.saveSettings(settings)) {
+            alert('Settings saved!');
+        } else {
+            alert('Failed to save settings. Check the console for errors.');
+        }
     }
 
-    savePricingForm() {
+    async savePricingForm() {
         const pricing = {
             additionalView: parseFloat(document.getElementById('price-additional-view').value) || 0,
             foldAndBag: parseFloat(document.getElementById('price-fold-bag').value) || 0,
             neckTags: parseFloat(document.getElementById('price-neck-tags').value) || 0
         };
-        this.store.savePricing(pricing);
-        alert('Pricing rules saved!');
+        if (await this.store.savePricing(pricing)) {
+            alert('Pricing rules saved!');
+        } else {
+            alert('Failed to save pricing rules. Check the console for errors.');
+        }
     }
 
-    exportData() {
-        const data = this.store.exportAllData();
+    async exportData() {
+        const data = await this.store.exportAllData();
         const blob = new Blob([data], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
 
@@ -1371,27 +1414,130 @@ class AdminApp {
         link.href = url;
         link.click();
 
-        URL.revokeObjectURL(url);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
+    /**
+     * Read an export file and show what importing it would change
+     */
     importData(file) {
         if (!file) return;
 
         const reader = new FileReader();
         reader.onload = (e) => {
-            if (this.store.importData(e.target.result)) {
-                alert('Data imported successfully!');
-                this.updateStats();
-                this.loadSectionData(this.currentSection);
-            } else {
-                alert('Failed to import data. Please check the file format.');
-            }
+            this.pendingImport = e.target.result;
+            this.renderImportPreview();
+            this.openModal('import-modal');
         };
         reader.readAsText(file);
     }
+
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+
+        const mode = document.getElementById('import-mode').value;
+        const preview = this.store.previewImport(this.pendingImport, mode);
+        const container = document.getElementById('import-preview');
+        const confirmBtn = document.getElementById('confirm-import-btn');
+
+        this.importPreview = preview;
+
+        if (preview.fatal) {
+            container.innerHTML = `<p class="import-error"><i class="fas fa-exclamation-circle"></i> ${this.escapeHtml(preview.fatal)}</p>`;
+            confirmBtn.disabled = true;
+            return;
+        }
+
+        const names = (entries) => entries.map(e => this.escapeHtml(e.name || e.id)).join(', ');
+        const details = [];
+
+        const rows = Object.entries(preview.collections).map(([collection, diff]) => {
+            [['added', 'Add'], ['updated', 'Update'], ['removed', 'Remove']].forEach(([type, label]) => {
+                if (diff[type].length > 0) {
+                    details.push(`<li class="import-${type}"><strong>${label} ${collection}:</strong> ${names(diff[type])}</li>`);
+                }
+            });
+
+            return `
+                <tr>
+                    <td>${collection}</td>
+                    <td>${diff.added.length}</td>
+                    <td>${diff.updated.length}</td>
+                    <td>${diff.removed.length}</td>
+                    <td>${diff.unchanged}</td>
+                </tr>
+            `;
+        }).join('');
+
+        Object.entries(preview.objects).forEach(([key, status]) => {
+            details.push(`<li class="import-${status}"><strong>${key}:</strong> ${status}</li>`);
+        });
+
+        const errors = preview.errors.map(error => `
+            <li>
+                <strong>${error.collection}${error.index !== null ? ` #${error.index + 1}` : ''}${error.name ? ` (${this.escapeHtml(error.name)})` : ''}:</strong>
+                ${error.messages.map(m => this.escapeHtml(m)).join('; ')}
+            </li>
+        `).join('');
+
+        const migration = preview.migration && preview.migration.fromVersion < preview.migration.toVersion
+            ? `<p class="text-muted">File upgraded from schema v${preview.migration.fromVersion} to v${preview.migration.toVersion} (${preview.migration.changes.length} change(s)).</p>`
+            : '';
+
+        container.innerHTML = `
+            ${migration}
+            ${rows ? `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Collection</th><th>Add</th><th>Update</th><th>Remove</th><th>Unchanged</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+            ${details.length > 0 ? `<ul class="import-details">${details.join('')}</ul>` : '<p class="text-muted">Nothing to change.</p>'}
+            ${errors ? `
+                <div class="import-errors">
+                    <h5><i class="fas fa-exclamation-triangle"></i> ${preview.errors.length} invalid record(s) will be skipped</h5>
+                    <ul>${errors}</ul>
+                </div>
+            ` : ''}
+        `;
+
+        confirmBtn.disabled = details.length === 0;
+    }
+
+    async confirmImport() {
+        if (!this.importPreview || this.importPreview.fatal) return;
+
+        if (this.importPreview.mode === 'replace') {
+            const removed = Object.values(this.importPreview.collections)
+                .reduce((sum, diff) => sum + diff.removed.length, 0);
+            if (removed > 0 && !confirm(`Replace mode will remove ${removed} record(s). Continue?`)) {
+                return;
+            }
+        }
+
+        if (await this.store.applyImport(this.importPreview)) {
+            this.closeModal('import-modal');
+            this.pendingImport = null;
+            this.importPreview = null;
+            alert('Data imported successfully!');
+            this.updateStats();
+            this.loadSectionData(this.currentSection);
+        } else {
+            alert('Failed to import data. Check the console for errors.');
+        }
+    }
+
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
 }
 
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await dataStore.ready();
     window.adminApp = new AdminApp();
 });
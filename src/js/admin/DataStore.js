@@ -1,46 +1,65 @@
 /**
- * DataStore - Mock backend using localStorage
+ * DataStore - Admin data access on top of the shared Storage layer
  *
- * This simulates a backend database during development.
- * When converting to WordPress, replace these methods with WP REST API calls.
+ * The backend (IndexedDB, localStorage or a REST server) is chosen in Storage's config.
+ * Reads are synchronous from Storage's cache; every write is async and resolves
+ * once persisted, so callers can report failures.
  */
 
+import { storage } from '../core/Storage.js';
+import { migrations, SCHEMA_VERSION } from '../core/Migrations.js';
+
+const IMPORT_COLLECTIONS = ['products', 'templates', 'cliparts', 'fonts', 'orders'];  // Lists of records with ids
+const IMPORT_OBJECTS = ['settings', 'pricing'];
+
 export class DataStore {
     constructor() {
         this.prefix = 'cpd_'; // Custom Product Designer prefix
-        this.init();
+    }
+
+    /**
+     * Wait for storage to load and upgrade old data, then initialize
+     */
+    async ready() {
+        await storage.ready();
+        await migrations.migrateStorage();
+        await this.init();
     }
 
     /**
      * Initialize with default data if empty
      */
-    init() {
+    async init() {
+        const writes = [];
+
         // Initialize collections if they don't exist
         const collections = ['products', 'templates', 'cliparts', 'fonts', 'orders', 'settings', 'pricing'];
 
         collections.forEach(collection => {
             if (!this.get(collection)) {
-                this.set(collection, []);
+                writes.push(this.set(collection, []));
             }
         });
 
         // Initialize default settings
         if (!this.get('settings') || this.get('settings').length === 0) {
-            this.set('settings', {
+            writes.push(this.set('settings', {
                 defaultDPI: 300,
                 defaultUnit: 'inches',
                 screenDPI: 72
-            });
+            }));
         }
 
         // Initialize default pricing
         if (!this.get('pricing') || this.get('pricing').length === 0) {
-            this.set('pricing', {
+            writes.push(this.set('pricing', {
                 additionalView: 0,  // Price for 2nd, 3rd, etc. print locations
                 foldAndBag: 0,      // Per item
                 neckTags: 0         // Per item
-            });
+            }));
         }
+
+        await Promise.all(writes);
     }
 
     // =========================================================================
@@ -51,25 +70,20 @@ export class DataStore {
      * Get data from storage
      */
     get(key) {
-        const data = localStorage.getItem(this.prefix + key);
-        try {
-            return data ? JSON.parse(data) : null;
-        } catch (e) {
-            console.error('Error parsing stored data:', e);
-            return null;
-        }
+        return storage.get(key);
     }
 
     /**
      * Set data to storage
+     * @returns {Promise<boolean>} - Resolves once persisted; false on failure
      */
-    set(key, value) {
-        try {
-            const jsonString = JSON.stringify(value);
-            const sizeKB = (jsonString.length / 1024).toFixed(2);
-            console.log(`Saving ${key}: ${sizeKB} KB`);
+    async set(key, value) {
+        const jsonString = JSON.stringify(value);
+        const sizeKB = (jsonString.length / 1024).toFixed(2);
+        console.log(`Saving ${key}: ${sizeKB} KB`);
 
-            localStorage.setItem(this.prefix + key, jsonString);
+        try {
+            await storage.set(key, value);
             return true;
         } catch (e) {
             console.error('Error saving data:', e);
@@ -83,8 +97,21 @@ export class DataStore {
     /**
      * Remove data from storage
      */
-    remove(key) {
-        localStorage.removeItem(this.prefix + key);
+    async remove(key) {
+        try {
+            await storage.remove(key);
+            return true;
+        } catch (e) {
+            console.error('Error removing data:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Can full-resolution images be stored? (false when images must stay inline)
+     */
+    canStoreLargeImages() {
+        return storage.supportsImages();
     }
 
     // =========================================================================
@@ -100,7 +127,7 @@ export class DataStore {
         return products.find(p => p.id === id);
     }
 
-    saveProduct(product) {
+    async saveProduct(product) {
         const products = this.getProducts();
 
         if (product.id) {
@@ -117,13 +144,13 @@ export class DataStore {
             products.push(product);
         }
 
-        const success = this.set('products', products);
+        const success = await this.set('products', products);
         return success ? product : null;
     }
 
     deleteProduct(id) {
         const products = this.getProducts().filter(p => p.id !== id);
-        this.set('products', products);
+        return this.set('products', products);
     }
 
     // =========================================================================
@@ -143,7 +170,7 @@ export class DataStore {
         return this.getTemplates().filter(t => t.productId === productId);
     }
 
-    saveTemplate(template) {
+    async saveTemplate(template) {
         const templates = this.getTemplates();
 
         if (template.id) {
@@ -158,13 +185,13 @@ export class DataStore {
             templates.push(template);
         }
 
-        this.set('templates', templates);
-        return template;
+        const success = await this.set('templates', templates);
+        return success ? template : null;
     }
 
     deleteTemplate(id) {
         const templates = this.getTemplates().filter(t => t.id !== id);
-        this.set('templates', templates);
+        return this.set('templates', templates);
     }
 
     // =========================================================================
@@ -180,7 +207,7 @@ export class DataStore {
         return this.getCliparts().filter(c => c.category === category);
     }
 
-    saveClipart(clipart) {
+    async saveClipart(clipart) {
         const cliparts = this.getCliparts();
 
         if (clipart.id) {
@@ -194,17 +221,19 @@ export class DataStore {
             cliparts.push(clipart);
         }
 
-        this.set('cliparts', cliparts);
-        return clipart;
+        const success = await this.set('cliparts', cliparts);
+        return success ? clipart : null;
     }
 
-    saveCliparts(clipartArray) {
-        clipartArray.forEach(clipart => this.saveClipart(clipart));
+    async saveCliparts(clipartArray) {
+        for (const clipart of clipartArray) {
+            await this.saveClipart(clipart);
+        }
     }
 
     deleteClipart(id) {
         const cliparts = this.getCliparts().filter(c => c.id !== id);
-        this.set('cliparts', cliparts);
+        return this.set('cliparts', cliparts);
     }
 
     // =========================================================================
@@ -215,7 +244,7 @@ export class DataStore {
         return this.get('fonts') || [];
     }
 
-    saveFont(font) {
+    async saveFont(font) {
         const fonts = this.getFonts();
 
         if (font.id) {
@@ -228,13 +257,13 @@ export class DataStore {
             fonts.push(font);
         }
 
-        this.set('fonts', fonts);
-        return font;
+        const success = await this.set('fonts', fonts);
+        return success ? font : null;
     }
 
     deleteFont(id) {
         const fonts = this.getFonts().filter(f => f.id !== id);
-        this.set('fonts', fonts);
+        return this.set('fonts', fonts);
     }
 
     // =========================================================================
@@ -249,7 +278,7 @@ export class DataStore {
         return this.getOrders().find(o => o.id === id);
     }
 
-    saveOrder(order) {
+    async saveOrder(order) {
         const orders = this.getOrders();
 
         if (order.id) {
@@ -266,15 +295,15 @@ export class DataStore {
             orders.push(order);
         }
 
-        this.set('orders', orders);
-        return order;
+        const success = await this.set('orders', orders);
+        return success ? order : null;
     }
 
-    updateOrderStatus(id, status) {
+    async updateOrderStatus(id, status) {
         const order = this.getOrder(id);
         if (order) {
             order.status = status;
-            this.saveOrder(order);
+            await this.saveOrder(order);
         }
     }
 
@@ -287,7 +316,7 @@ export class DataStore {
     }
 
     saveSettings(settings) {
-        this.set('settings', settings);
+        return this.set('settings', settings);
     }
 
     getPricing() {
@@ -295,7 +324,7 @@ export class DataStore {
     }
 
     savePricing(pricing) {
-        this.set('pricing', pricing);
+        return this.set('pricing', pricing);
     }
 
     // =========================================================================
@@ -315,9 +344,13 @@ export class DataStore {
     // Import/Export
     // =========================================================================
 
-    exportAllData() {
+    /**
+     * Export everything as JSON, with images embedded so the file is portable
+     */
+    async exportAllData() {
         const data = {
-            products: this.getProducts(),
+            schemaVersion: SCHEMA_VERSION,
+            products: await storage.exportValue('products') || [],
             templates: this.getTemplates(),
             cliparts: this.getCliparts(),
             fonts: this.getFonts(),
@@ -329,59 +362,345 @@ export class DataStore {
         return JSON.stringify(data, null, 2);
     }
 
-    importData(jsonString) {
+    async clearAllData() {
+        const collections = ['products', 'templates', 'cliparts', 'fonts', 'orders', 'settings', 'pricing'];
+        await Promise.all(collections.map(c => this.remove(c)));
+        await this.init(); // Re-initialize with defaults
+    }
+
+    /**
+     * Import a data export in one step (see previewImport/applyImport)
+     * @param {string} mode - 'replace' or 'merge'
+     */
+    async importData(jsonString, mode = 'replace') {
+        const preview = this.previewImport(jsonString, mode);
+        if (preview.fatal) {
+            console.error('Import error:', preview.fatal);
+            return false;
+        }
+        return this.applyImport(preview);
+    }
+
+    /**
+     * Validate an export file and work out what importing it would change
+     * Nothing is written. Invalid records are reported and left out of the import.
+     * @param {string} mode - 'replace' (collections in the file overwrite stored ones)
+     *                        or 'merge' (records are upserted by id, nothing is removed)
+     * @returns {Object} - { mode, fatal, errors, collections, objects, migration, data }
+     */
+    previewImport(jsonString, mode = 'replace') {
+        const preview = { mode, fatal: null, errors: [], collections: {}, objects: {}, migration: null, data: {} };
+
+        let data;
         try {
-            const data = JSON.parse(jsonString);
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            preview.fatal = 'File is not valid JSON';
+            return preview;
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            preview.fatal = 'File is not a data export';
+            return preview;
+        }
+        if ((data.schemaVersion || 1) > SCHEMA_VERSION) {
+            preview.fatal = `File uses schema v${data.schemaVersion}; this version supports up to v${SCHEMA_VERSION}`;
+            return preview;
+        }
 
-            if (data.products) this.set('products', data.products);
-            if (data.templates) this.set('templates', data.templates);
-            if (data.cliparts) this.set('cliparts', data.cliparts);
-            if (data.fonts) this.set('fonts', data.fonts);
-            if (data.orders) this.set('orders', data.orders);
-            if (data.settings) this.set('settings', data.settings);
-            if (data.pricing) this.set('pricing', data.pricing);
+        // Records are checked before they are upgraded (the steps expect well-formed
+        // records) and again after, for values carried over from old field names
+        const records = { schemaVersion: data.schemaVersion };
+        const fileIndexes = {};  // Position of each checked record in the file
+        IMPORT_COLLECTIONS.forEach(collection => {
+            if (data[collection] === undefined) return;
 
-            return true;
+            if (!Array.isArray(data[collection])) {
+                preview.errors.push({ collection, index: null, id: null, name: null, messages: ['Expected a list'] });
+                return;
+            }
+
+            const checked = this.filterValidRecords(collection, data[collection], preview.errors);
+            records[collection] = checked;
+            fileIndexes[collection] = checked.map(record => data[collection].indexOf(record));
+        });
+
+        try {
+            preview.migration = migrations.migrateExport(records);
         } catch (e) {
-            console.error('Import error:', e);
-            return false;
+            console.error('Import migration failed:', e);
+            preview.fatal = `File could not be upgraded to schema v${SCHEMA_VERSION}: ${e.message}`;
+            return preview;
         }
+
+        IMPORT_COLLECTIONS.forEach(collection => {
+            if (!records[collection]) return;
+
+            const valid = this.filterValidRecords(collection, records[collection], preview.errors,
+                index => fileIndexes[collection][index]);
+            preview.data[collection] = valid;
+            preview.collections[collection] = this.diffCollection(this.get(collection) || [], valid, mode);
+        });
+
+        IMPORT_OBJECTS.forEach(key => {
+            if (data[key] === undefined) return;
+
+            const messages = this.validateObject(key, data[key]);
+            if (messages.length > 0) {
+                preview.errors.push({ collection: key, index: null, id: null, name: null, messages });
+                return;
+            }
+
+            const current = this.get(key) || {};
+            const next = mode === 'merge' ? { ...current, ...data[key] } : data[key];
+            preview.data[key] = next;
+            preview.objects[key] = JSON.stringify(current) === JSON.stringify(next) ? 'unchanged' : 'updated';
+        });
+
+        return preview;
     }
 
-    clearAllData() {
-        const collections = ['products', 'templates', 'cliparts', 'fonts', 'orders', 'settings', 'pricing'];
-        collections.forEach(c => this.remove(c));
-        this.init(); // Re-initialize with defaults
+    /**
+     * Records that pass validateRecord and have a unique id; the others are added to errors
+     * @param {Array} errors - Import errors ({ collection, index, id, name, messages })
+     * @param {Function} [fileIndex] - Maps a list position to the record's position in the file
+     * @returns {Array}
+     */
+    filterValidRecords(collection, list, errors, fileIndex = index => index) {
+        const valid = [];
+        const seen = new Set();
+
+        list.forEach((record, index) => {
+            const messages = this.validateRecord(collection, record);
+            if (messages.length === 0 && seen.has(record.id)) {
+                messages.push(`Duplicate id "${record.id}"`);
+            }
+
+            if (messages.length > 0) {
+                errors.push({
+                    collection,
+                    index: fileIndex(index),
+                    id: record?.id ?? null,
+                    name: this.recordLabel(record),
+                    messages
+                });
+                return;
+            }
+
+            seen.add(record.id);
+            valid.push(record);
+        });
+
+        return valid;
     }
 
     /**
-     * Get storage usage information
+     * Write a preview's valid records
+     * @returns {Promise<boolean>}
      */
-    getStorageUsage() {
-        const usage = {};
-        let total = 0;
+    async applyImport(preview) {
+        if (preview.fatal) return false;
+
+        const writes = [];
 
-        Object.keys(localStorage).forEach(key => {
-            const size = localStorage.getItem(key).length;
-            usage[key] = (size / 1024).toFixed(2) + ' KB';
-            total += size;
+        Object.entries(preview.data).forEach(([key, incoming]) => {
+            if (!IMPORT_COLLECTIONS.includes(key) || preview.mode !== 'merge') {
+                writes.push(this.set(key, incoming));
+                return;
+            }
+
+            // Upsert by id: matching records are replaced in place, new ones appended
+            const records = this.get(key) || [];
+            incoming.forEach(record => {
+                const index = records.findIndex(r => r.id === record.id);
+                if (index !== -1) {
+                    records[index] = record;
+                } else {
+                    records.push(record);
+                }
+            });
+            writes.push(this.set(key, records));
+        });
+
+        const results = await Promise.all(writes);
+        return results.every(Boolean);
+    }
+
+    /**
+     * Compare stored records with incoming ones by id
+     * @returns {Object} - { added, updated, removed: [{ id, name }], unchanged: count }
+     */
+    diffCollection(current, incoming, mode) {
+        const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+        const currentById = new Map(current.map(record => [record.id, record]));
+        const incomingIds = new Set(incoming.map(record => record.id));
+
+        incoming.forEach(record => {
+            const existing = currentById.get(record.id);
+            const entry = { id: record.id, name: this.recordLabel(record) };
+
+            if (!existing) {
+                diff.added.push(entry);
+            } else if (this.isSameRecord(existing, record)) {
+                diff.unchanged++;
+            } else {
+                diff.updated.push(entry);
+            }
         });
 
-        usage._total = (total / 1024).toFixed(2) + ' KB';
-        usage._limit = '~5000 KB (5MB)';
-        usage._available = ((5000 * 1024 - total) / 1024).toFixed(2) + ' KB';
+        if (mode === 'replace') {
+            current
+                .filter(record => !incomingIds.has(record.id))
+                .forEach(record => diff.removed.push({ id: record.id, name: this.recordLabel(record) }));
+        }
+
+        return diff;
+    }
+
+    /**
+     * Stored images are URLs while exports embed them, so prefer updatedAt when both have it
+     */
+    isSameRecord(a, b) {
+        if (a.updatedAt && b.updatedAt) {
+            return a.updatedAt === b.updatedAt;
+        }
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
 
-        return usage;
+    recordLabel(record) {
+        if (!record || typeof record !== 'object') return null;
+        return record.name || record.orderNumber || record.id || null;
+    }
+
+    /**
+     * Get the report of the last schema migration (null if none ran)
+     */
+    getMigrationReport() {
+        return this.get('migrationReport');
+    }
+
+    /**
+     * Get storage usage information
+     */
+    getStorageUsage() {
+        return storage.getUsage();
     }
 
     /**
      * Clear just product data
      */
-    clearProducts() {
-        this.set('products', []);
+    async clearProducts() {
+        await this.set('products', []);
         console.log('Products cleared');
     }
 
+    // =========================================================================
+    // Validation
+    // =========================================================================
+
+    /**
+     * Validate one record of a collection
+     * @returns {Array<string>} - Error messages (empty when valid)
+     */
+    validateRecord(collection, record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['Not an object'];
+        }
+
+        const errors = [];
+        const requireString = (field) => {
+            if (typeof record[field] !== 'string' || record[field].trim() === '') {
+                errors.push(`Missing or invalid "${field}"`);
+            }
+        };
+        const optionalNumber = (obj, field, label = field) => {
+            if (obj[field] !== undefined && (typeof obj[field] !== 'number' || !isFinite(obj[field]) || obj[field] < 0)) {
+                errors.push(`"${label}" must be a non-negative number`);
+            }
+        };
+
+        requireString('id');
+
+        switch (collection) {
+            case 'products':
+                requireString('name');
+                optionalNumber(record, 'price');
+                optionalNumber(record, 'dpi');
+                errors.push(...this.validateProductParts(record));
+                break;
+            case 'templates':
+            case 'fonts':
+                requireString('name');
+                break;
+            case 'orders':
+                requireString('orderNumber');
+                requireString('status');
+                break;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a product's views, colors and sizes
+     */
+    validateProductParts(product) {
+        const errors = [];
+
+        ['views', 'colors', 'sizes'].forEach(field => {
+            if (product[field] !== undefined && !Array.isArray(product[field])) {
+                errors.push(`"${field}" must be a list`);
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        (product.views || []).forEach((view, i) => {
+            if (!view?.id) errors.push(`View ${i + 1} has no id`);
+
+            const printArea = view?.printArea;
+            if (printArea === undefined) return;
+
+            ['widthPercent', 'heightPercent', 'leftPercent', 'topPercent', 'printWidthInches', 'printHeightInches'].forEach(field => {
+                const value = printArea?.[field];
+                if (value !== undefined && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+                    errors.push(`View "${view.name || view.id || i + 1}": printArea.${field} must be a non-negative number`);
+                }
+            });
+        });
+
+        (product.colors || []).forEach((color, i) => {
+            if (!color?.id) errors.push(`Color ${i + 1} has no id`);
+            if (color?.colorCode !== undefined && !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color.colorCode)) {
+                errors.push(`Color "${color.name || color.id}": invalid colorCode "${color.colorCode}"`);
+            }
+            if (color?.viewImages !== undefined && (typeof color.viewImages !== 'object' || Array.isArray(color.viewImages))) {
+                errors.push(`Color "${color.name || color.id}": viewImages must be an object`);
+            }
+        });
+
+        (product.sizes || []).forEach((size, i) => {
+            if (!size?.id) errors.push(`Size ${i + 1} has no id`);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate settings / pricing
+     */
+    validateObject(key, value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return ['Expected an object'];
+        }
+
+        const numericFields = key === 'settings'
+            ? ['defaultDPI', 'screenDPI']
+            : ['additionalView', 'foldAndBag', 'neckTags'];
+
+        return numericFields
+            .filter(field => value[field] !== undefined && (typeof value[field] !== 'number' || value[field] < 0))
+            .map(field => `"${field}" must be a non-negative number`);
+    }
+
     // =========================================================================
     // Helpers
     // =========================================================================
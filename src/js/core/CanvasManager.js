@@ -3,6 +3,8 @@
  * Handles all canvas operations, object manipulation, and custom rendering
  */
 
+import { CurvedText } from './CurvedText.js';
+
 export class CanvasManager {
     constructor(options = {}) {
         this.options = {
@@ -158,7 +160,7 @@ export class CanvasManager {
         // Object modified (moved, scaled, rotated) - save to history after change
         this.fabricCanvas.on('object:modified', (e) => {
             this.events.emit('object:modified', e.target);
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: this.describeModification(e) });
             this.events.emit('properties:update', e.target);
         });
 
@@ -209,7 +211,7 @@ export class CanvasManager {
             context = 'multiple';
         } else {
             const obj = selected[0];
-            if (obj.type === 'i-text' || obj.type === 'text' || obj.type === 'textbox') {
+            if (obj.type === 'i-text' || obj.type === 'text' || obj.type === 'textbox' || obj.type === 'curved-text') {
                 context = 'text';
             } else if (obj.type === 'image') {
                 context = 'image';
@@ -250,7 +252,37 @@ export class CanvasManager {
 
         this.fabricCanvas.add(textObj);
         this.fabricCanvas.setActiveObject(textObj);
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Add text' });
+        return textObj;
+    }
+
+    /**
+     * Add text laid out along an arc
+     * @param {string} text - Text content
+     * @param {Object} options - Text options plus radius, spacing, flipped
+     */
+    addCurvedText(text = 'Curved Text', options = {}) {
+        const center = this.getPrintAreaCenter();
+
+        const textObj = new CurvedText(text, {
+            left: center.x,
+            top: center.y,
+            originX: 'center',
+            originY: 'center',
+            fontFamily: 'Arial',
+            fontSize: 24,
+            fill: '#000000',
+            radius: 100,
+            spacing: 0,
+            flipped: false,
+            ...options
+        });
+
+        this.applyClipPathToObject(textObj);
+
+        this.fabricCanvas.add(textObj);
+        this.fabricCanvas.setActiveObject(textObj);
+        this.events.emit('history:save', { label: 'Add curved text' });
         return textObj;
     }
 
@@ -307,7 +339,7 @@ export class CanvasManager {
 
                     this.fabricCanvas.add(img);
                     this.fabricCanvas.setActiveObject(img);
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: options.isClipart ? 'Add clipart' : 'Add image' });
 
                     console.log(`Image added: ${originalWidth}x${originalHeight}px original, displayed at ${Math.round(img.width * img.scaleX)}x${Math.round(img.height * img.scaleY)}px`);
                     resolve(img);
@@ -398,7 +430,7 @@ export class CanvasManager {
 
         this.fabricCanvas.add(shape);
         this.fabricCanvas.setActiveObject(shape);
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: `Add ${type === 'rect' ? 'rectangle' : type}` });
         return shape;
     }
 
@@ -503,7 +535,7 @@ export class CanvasManager {
         }
 
         this.fabricCanvas.requestRenderAll();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Delete' });
     }
 
     /**
@@ -532,7 +564,7 @@ export class CanvasManager {
 
             this.fabricCanvas.setActiveObject(cloned);
             this.fabricCanvas.requestRenderAll();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Duplicate' });
         });
     }
 
@@ -576,7 +608,7 @@ export class CanvasManager {
 
             this.fabricCanvas.setActiveObject(cloned);
             this.fabricCanvas.requestRenderAll();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Paste' });
         });
     }
 
@@ -588,7 +620,7 @@ export class CanvasManager {
         if (active) {
             active.bringToFront();
             this.fabricCanvas.requestRenderAll();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Bring to front' });
             this.events.emit('layers:update');
         }
     }
@@ -601,7 +633,7 @@ export class CanvasManager {
         if (active) {
             active.sendToBack();
             this.fabricCanvas.requestRenderAll();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Send to back' });
             this.events.emit('layers:update');
         }
     }
@@ -615,7 +647,7 @@ export class CanvasManager {
 
         const group = active.toGroup();
         this.fabricCanvas.requestRenderAll();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Group' });
         return group;
     }
 
@@ -628,10 +660,126 @@ export class CanvasManager {
 
         const items = active.toActiveSelection();
         this.fabricCanvas.requestRenderAll();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Ungroup' });
         return items;
     }
 
+    /**
+     * Align selected objects
+     * @param {string} direction - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     * @param {string} relativeTo - 'selection' (bounds of all selected) or 'printArea'
+     */
+    alignSelected(direction, relativeTo = 'selection') {
+        const objects = this.fabricCanvas.getActiveObjects();
+        if (objects.length === 0) return;
+
+        this.transformSelection(objects, (rects) => {
+            const target = relativeTo === 'printArea' && this.printAreaBounds
+                ? this.printAreaBounds
+                : this.getCombinedBounds(rects);
+
+            rects.forEach(({ obj, rect }) => {
+                let dx = 0;
+                let dy = 0;
+
+                switch (direction) {
+                    case 'left':
+                        dx = target.left - rect.left;
+                        break;
+                    case 'center':
+                        dx = target.left + target.width / 2 - (rect.left + rect.width / 2);
+                        break;
+                    case 'right':
+                        dx = target.left + target.width - (rect.left + rect.width);
+                        break;
+                    case 'top':
+                        dy = target.top - rect.top;
+                        break;
+                    case 'middle':
+                        dy = target.top + target.height / 2 - (rect.top + rect.height / 2);
+                        break;
+                    case 'bottom':
+                        dy = target.top + target.height - (rect.top + rect.height);
+                        break;
+                }
+
+                obj.set({ left: obj.left + dx, top: obj.top + dy });
+            });
+        }, `Align ${direction}`);
+    }
+
+    /**
+     * Distribute selected objects with equal spacing between them
+     * Outermost objects stay in place; needs at least three objects
+     * @param {string} axis - 'horizontal' or 'vertical'
+     */
+    distributeSelected(axis = 'horizontal') {
+        const objects = this.fabricCanvas.getActiveObjects();
+        if (objects.length < 3) return;
+
+        const start = axis === 'vertical' ? 'top' : 'left';
+        const size = axis === 'vertical' ? 'height' : 'width';
+
+        this.transformSelection(objects, (rects) => {
+            const sorted = [...rects].sort((a, b) => a.rect[start] - b.rect[start]);
+            const first = sorted[0].rect;
+            const last = sorted[sorted.length - 1].rect;
+
+            const span = last[start] + last[size] - first[start];
+            const occupied = sorted.reduce((sum, { rect }) => sum + rect[size], 0);
+            const gap = (span - occupied) / (sorted.length - 1);
+
+            let position = first[start];
+            sorted.forEach(({ obj, rect }) => {
+                obj.set(start, obj[start] + position - rect[start]);
+                position += rect[size] + gap;
+            });
+        }, `Distribute ${axis}ly`);
+    }
+
+    /**
+     * Move objects in absolute canvas coordinates, then restore the selection
+     * Objects inside an ActiveSelection are positioned relative to it, so the
+     * selection is dissolved first. Records a single history step.
+     * @param {Array} objects - Objects to transform
+     * @param {Function} callback - Receives [{ obj, rect }] with absolute bounding rects
+     * @param {string} label - History label
+     */
+    transformSelection(objects, callback, label = 'Arrange') {
+        const wasMultiple = objects.length > 1;
+        if (wasMultiple) {
+            this.fabricCanvas.discardActiveObject();
+        }
+
+        const rects = objects.map(obj => {
+            obj.setCoords();
+            return { obj, rect: obj.getBoundingRect(true, true) };
+        });
+
+        callback(rects);
+        objects.forEach(obj => obj.setCoords());
+
+        if (wasMultiple) {
+            const selection = new fabric.ActiveSelection(objects, { canvas: this.fabricCanvas });
+            this.fabricCanvas.setActiveObject(selection);
+        }
+
+        this.fabricCanvas.requestRenderAll();
+        this.events.emit('history:save', { label: label });
+    }
+
+    /**
+     * Get the bounding box enclosing a set of bounding rects
+     */
+    getCombinedBounds(rects) {
+        const left = Math.min(...rects.map(({ rect }) => rect.left));
+        const top = Math.min(...rects.map(({ rect }) => rect.top));
+        const right = Math.max(...rects.map(({ rect }) => rect.left + rect.width));
+        const bottom = Math.max(...rects.map(({ rect }) => rect.top + rect.height));
+
+        return { left, top, width: right - left, height: bottom - top };
+    }
+
     // =========================================================================
     // Zoom Methods
     // =========================================================================
@@ -668,6 +816,7 @@ export class CanvasManager {
             height: this.options.height * this.zoom
         });
         this.updateZoomDisplay();
+        this.events.emit('canvas:zoomed', this.zoom);
     }
 
     /**
@@ -780,10 +929,7 @@ export class CanvasManager {
                 }
 
                 // Scale to fit canvas
-                const scale = Math.min(
-                    this.options.width / img.width,
-                    this.options.height / img.height
-                ) * 0.95;
+                const scale = this.getProductImageScale(img.width, img.height);
 
                 img.scale(scale);
                 img.set({
@@ -826,47 +972,18 @@ export class CanvasManager {
     setupPrintArea(printAreaData) {
         if (!this.productImage) return;
 
-        const imgCenterX = this.productImage.left;
-        const imgCenterY = this.productImage.top;
-
-        // Get inch dimensions - these determine the aspect ratio
-        const widthInches = printAreaData.widthInches || 8;
-        const heightInches = printAreaData.heightInches || 10;
-        const aspectRatio = widthInches / heightInches;
-
-        // Calculate maximum available space based on percentage settings
-        const maxWidth = this.scaledProductWidth * (printAreaData.widthPercent / 100);
-        const maxHeight = this.scaledProductHeight * (printAreaData.heightPercent / 100);
-
-        // Calculate print area dimensions maintaining aspect ratio from inches
-        // Fit within the max bounds while preserving aspect ratio
-        let printWidth, printHeight;
-
-        if (maxWidth / maxHeight > aspectRatio) {
-            // Height constrained - use max height, calculate width from aspect ratio
-            printHeight = maxHeight;
-            printWidth = maxHeight * aspectRatio;
-        } else {
-            // Width constrained - use max width, calculate height from aspect ratio
-            printWidth = maxWidth;
-            printHeight = maxWidth / aspectRatio;
-        }
-
-        // Calculate position offset from center
-        const offsetX = this.scaledProductWidth * (printAreaData.leftPercent / 100);
-        const offsetY = this.scaledProductHeight * (printAreaData.topPercent / 100);
+        this.printAreaBounds = this.calculatePrintAreaBounds(printAreaData, {
+            left: this.productImage.left,
+            top: this.productImage.top,
+            width: this.scaledProductWidth,
+            height: this.scaledProductHeight
+        });
 
-        this.printAreaBounds = {
-            left: imgCenterX + offsetX - printWidth / 2,
-            top: imgCenterY + offsetY - printHeight / 2,
-            width: printWidth,
-            height: printHeight,
-            widthInches: widthInches,
-            heightInches: heightInches
-        };
+        const { width: printWidth, height: printHeight, widthInches, heightInches } = this.printAreaBounds;
 
         // Store DPI for this print area (pixels per inch on screen)
         this.printAreaDPI = printWidth / widthInches;
+        this.events.emit('printArea:changed', this.printAreaBounds);
 
         // Create visual print area indicator (dashed rectangle)
         this.createPrintAreaRect();
@@ -880,46 +997,111 @@ export class CanvasManager {
     }
 
     /**
-     * Set up print area when no product image (full canvas mode)
-     * Maintains aspect ratio from inch dimensions
+     * Calculate print area bounds in canvas coordinates
+     * Fits the inch aspect ratio inside the allowed space: a percentage of the
+     * scaled product image, or the padded canvas when there is no product image.
+     *
+     * @param {Object} printAreaData - Print area settings (see setupPrintArea)
+     * @param {Object|null} product - Scaled product image { left, top, width, height } (center origin)
+     * @returns {Object} - { left, top, width, height, widthInches, heightInches }
      */
-    setupPrintAreaFullCanvas(printAreaData) {
-        // Get inch dimensions
+    calculatePrintAreaBounds(printAreaData, product = null) {
+        // Get inch dimensions - these determine the aspect ratio
         const widthInches = printAreaData.widthInches || 8;
         const heightInches = printAreaData.heightInches || 10;
         const aspectRatio = widthInches / heightInches;
 
-        // Calculate print area to fit canvas while maintaining aspect ratio
-        let printWidth, printHeight;
-        const canvasWidth = this.options.width;
-        const canvasHeight = this.options.height;
-        const padding = 20; // Small padding from edges
+        let maxWidth, maxHeight, centerX, centerY;
 
-        const maxWidth = canvasWidth - padding * 2;
-        const maxHeight = canvasHeight - padding * 2;
+        if (product) {
+            // Maximum available space and offset from center as percentages of the product
+            maxWidth = product.width * (printAreaData.widthPercent / 100);
+            maxHeight = product.height * (printAreaData.heightPercent / 100);
+            centerX = product.left + product.width * (printAreaData.leftPercent / 100);
+            centerY = product.top + product.height * (printAreaData.topPercent / 100);
+        } else {
+            // Full canvas with a small padding from edges, centered
+            const padding = 20;
+            maxWidth = this.options.width - padding * 2;
+            maxHeight = this.options.height - padding * 2;
+            centerX = this.options.width / 2;
+            centerY = this.options.height / 2;
+        }
+
+        // Fit within the max bounds while preserving aspect ratio
+        let printWidth, printHeight;
 
         if (maxWidth / maxHeight > aspectRatio) {
-            // Height constrained
+            // Height constrained - use max height, calculate width from aspect ratio
             printHeight = maxHeight;
             printWidth = maxHeight * aspectRatio;
         } else {
-            // Width constrained
+            // Width constrained - use max width, calculate height from aspect ratio
             printWidth = maxWidth;
             printHeight = maxWidth / aspectRatio;
         }
 
-        // Center in canvas
-        this.printAreaBounds = {
-            left: (canvasWidth - printWidth) / 2,
-            top: (canvasHeight - printHeight) / 2,
+        return {
+            left: centerX - printWidth / 2,
+            top: centerY - printHeight / 2,
             width: printWidth,
             height: printHeight,
             widthInches: widthInches,
             heightInches: heightInches
         };
+    }
+
+    /**
+     * Calculate a view's print area bounds without displaying it
+     * Loads the product image only to measure it (used to export other stages)
+     *
+     * @param {Object} view - View data { image, printArea }
+     * @returns {Promise<Object>} - Print area bounds (see calculatePrintAreaBounds)
+     */
+    getViewPrintAreaBounds(view) {
+        const printArea = view.printArea || {};
+        if (!view.image) {
+            return Promise.resolve(this.calculatePrintAreaBounds(printArea));
+        }
+
+        return new Promise((resolve, reject) => {
+            fabric.util.loadImage(view.image, (img) => {
+                if (!img) {
+                    reject(new Error('Failed to load product image'));
+                    return;
+                }
+
+                // Same fit as loadProductImage
+                const scale = this.getProductImageScale(img.width, img.height);
+                resolve(this.calculatePrintAreaBounds(printArea, {
+                    left: this.options.width / 2,
+                    top: this.options.height / 2,
+                    width: img.width * scale,
+                    height: img.height * scale
+                }));
+            }, null, 'anonymous');
+        });
+    }
+
+    /**
+     * Scale that fits a product image inside the canvas with a small margin
+     */
+    getProductImageScale(width, height) {
+        return Math.min(this.options.width / width, this.options.height / height) * 0.95;
+    }
+
+    /**
+     * Set up print area when no product image (full canvas mode)
+     * Maintains aspect ratio from inch dimensions
+     */
+    setupPrintAreaFullCanvas(printAreaData) {
+        this.printAreaBounds = this.calculatePrintAreaBounds(printAreaData);
+
+        const { width: printWidth, height: printHeight, widthInches, heightInches } = this.printAreaBounds;
 
         // Store DPI for this print area
         this.printAreaDPI = printWidth / widthInches;
+        this.events.emit('printArea:changed', this.printAreaBounds);
 
         // Create visual rectangle (even without product image)
         this.createPrintAreaRect();
@@ -1027,6 +1209,44 @@ export class CanvasManager {
         this.currentView = null;
     }
 
+    /**
+     * Short name of an object's kind, for history labels ("Resize image")
+     */
+    getObjectLabel(obj) {
+        if (!obj) return 'object';
+        if (obj.type === 'activeSelection') return 'objects';
+        if (obj.isClipart) return 'clipart';
+
+        switch (obj.type) {
+            case 'i-text':
+            case 'textbox':
+            case 'text':
+                return 'text';
+            case 'curved-text':
+                return 'curved text';
+            case 'image':
+                return 'image';
+            case 'group':
+                return 'group';
+            default:
+                return 'shape';
+        }
+    }
+
+    /**
+     * History label for a finished mouse transform (object:modified)
+     */
+    describeModification(e) {
+        const kind = this.getObjectLabel(e.target);
+        const action = e.action || e.transform?.action || '';
+
+        if (action === 'drag') return `Move ${kind}`;
+        if (action.startsWith('scale')) return `Resize ${kind}`;
+        if (action === 'rotate') return `Rotate ${kind}`;
+        if (action.startsWith('skew')) return `Skew ${kind}`;
+        return `Edit ${kind}`;
+    }
+
     /**
      * Get only design objects (exclude product image and print area)
      */
@@ -1075,6 +1295,14 @@ export class CanvasManager {
         ]);
     }
 
+    /**
+     * Serialize one object like toJSON() does: objects in the active selection
+     * get canvas coordinates instead of ones relative to the selection
+     */
+    serializeObject(obj, propertiesToInclude = []) {
+        return this.fabricCanvas._toObject(obj, 'toObject', propertiesToInclude);
+    }
+
     /**
      * Load canvas from JSON
      */
@@ -1102,7 +1330,7 @@ export class CanvasManager {
 
     /**
      * Export canvas at high DPI for print quality
-     * This is the KEY method that preserves original image quality
+     * Renders through Fabric itself so the output matches the screen exactly
      *
      * @param {number} targetDPI - Target DPI (default 300 for print)
      * @param {number} screenDPI - Screen/design DPI (default 72)
@@ -1114,118 +1342,332 @@ export class CanvasManager {
         console.log(`Exporting at ${targetDPI} DPI (${multiplier}x multiplier)`);
         console.log(`Output size: ${this.options.width * multiplier}x${this.options.height * multiplier}px`);
 
-        // Create a temporary high-res canvas
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = this.options.width * multiplier;
-        tempCanvas.height = this.options.height * multiplier;
-        const ctx = tempCanvas.getContext('2d');
-
-        // Fill background
-        ctx.fillStyle = this.options.backgroundColor || '#ffffff';
-        ctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+        const printCanvas = await this.createPrintCanvas(multiplier);
+        const dataUrl = printCanvas.toDataURL({ format: 'png', quality: 1 });
+        printCanvas.dispose();
 
-        // Get all objects in their z-order
-        const objects = this.fabricCanvas.getObjects();
+        return dataUrl;
+    }
 
-        // Render each object at high resolution
-        for (const obj of objects) {
-            await this.renderObjectHighRes(ctx, obj, multiplier);
+    /**
+     * Export only the print area at its physical size
+     * Output is widthInches × heightInches at targetDPI, with no margins.
+     * Background stays transparent by default (DTG/DTF workflows).
+     *
+     * @param {number} targetDPI - Target DPI (default 300 for print)
+     * @param {Object} options - { transparent: boolean }
+     * @returns {Promise<string>} - Data URL of the cropped PNG
+     */
+    async exportPrintArea(targetDPI = 300, options = {}) {
+        const { transparent = true } = options;
+        const bounds = this.getPrintAreaBounds();
+        if (!bounds) {
+            throw new Error('No print area defined for this view');
         }
 
-        return tempCanvas.toDataURL('image/png', 1.0);
+        // Canvas pixels per inch → print pixels per inch
+        const multiplier = targetDPI / this.printAreaDPI;
+
+        console.log(`Exporting print area ${bounds.widthInches}" x ${bounds.heightInches}" at ${targetDPI} DPI`);
+        console.log(`Output size: ${Math.round(bounds.widthInches * targetDPI)}x${Math.round(bounds.heightInches * targetDPI)}px`);
+
+        const printCanvas = await this.createPrintCanvas(multiplier, { crop: bounds, transparent });
+        const dataUrl = printCanvas.toDataURL({ format: 'png', quality: 1 });
+        printCanvas.dispose();
+
+        return dataUrl;
+    }
+
+    /**
+     * Render any view's design cropped to its print area at physical size
+     * Works for stages that aren't on screen (uses their stored objects)
+     *
+     * @param {Object} view - View data { image, printArea }
+     * @param {Array} objects - Serialized design objects for the view
+     * @param {number} targetDPI - Target DPI (default 300 for print)
+     * @param {Object} options - { transparent: boolean, format: 'png'|'jpeg', quality: number }
+     * @returns {Promise<Object>} - { dataUrl, width, height, bounds }
+     */
+    async renderViewPrintArea(view, objects = [], targetDPI = 300, options = {}) {
+        const { transparent = true, format = 'png', quality = 1 } = options;
+        const bounds = await this.getViewPrintAreaBounds(view);
+
+        // Canvas pixels per inch → print pixels per inch
+        const multiplier = targetDPI / (bounds.width / bounds.widthInches);
+
+        const printCanvas = await this.createPrintCanvas(multiplier, {
+            crop: bounds,
+            transparent,
+            json: { version: fabric.version, objects, background: this.options.backgroundColor }
+        });
+
+        const result = {
+            dataUrl: printCanvas.toDataURL({ format, quality }),
+            width: printCanvas.getWidth(),
+            height: printCanvas.getHeight(),
+            bounds
+        };
+        printCanvas.dispose();
+
+        return result;
     }
 
     /**
-     * Render a single object at high resolution
-     * Uses original image source for images, scales vectors properly
+     * Build an offscreen copy of the design at print resolution
+     * Objects are restored from JSON and drawn by Fabric's own renderer, so flips,
+     * skew, origins, filters, clip paths, text styling and groups all match the
+     * canvas. Object caching is turned off so nothing is drawn from a capped,
+     * lower-resolution cache. Product image and print area marker are excluded.
+     *
+     * @param {number} multiplier - Print pixels per canvas pixel
+     * @param {Object} options - { crop: {left, top, width, height}, transparent: boolean,
+     *                             json: canvas JSON to render instead of the current canvas }
+     * @returns {Promise<fabric.StaticCanvas>}
      */
-    renderObjectHighRes(ctx, obj, multiplier) {
+    createPrintCanvas(multiplier, options = {}) {
+        const { crop = null, transparent = false } = options;
+        const region = crop || { left: 0, top: 0, width: this.options.width, height: this.options.height };
+
+        // Work on a copy - stored stage designs must not be modified
+        const json = options.json ? JSON.parse(JSON.stringify(options.json)) : this.toJSON();
+        this.useOriginalImageSources(json.objects);
+        if (transparent) {
+            delete json.background;
+        }
+
+        const printCanvas = new fabric.StaticCanvas(fabric.util.createCanvasElement(), {
+            width: Math.round(region.width * multiplier),
+            height: Math.round(region.height * multiplier),
+            enableRetinaScaling: false,
+            renderOnAddRemove: false
+        });
+
         return new Promise((resolve) => {
-            ctx.save();
-
-            // Calculate position at high resolution
-            const left = obj.left * multiplier;
-            const top = obj.top * multiplier;
-            const angle = obj.angle || 0;
-
-            // Move to object position and apply rotation
-            ctx.translate(left, top);
-            ctx.rotate(angle * Math.PI / 180);
-
-            // Apply opacity
-            ctx.globalAlpha = obj.opacity || 1;
-
-            if (obj.type === 'image' && obj._originalSrc) {
-                // For images: reload from original source at full quality
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                img.onload = () => {
-                    // Calculate the display size at high resolution
-                    const displayWidth = obj.width * obj.scaleX * multiplier;
-                    const displayHeight = obj.height * obj.scaleY * multiplier;
-
-                    // Draw from original high-res source
-                    ctx.drawImage(
-                        img,
-                        -displayWidth / 2,  // Center the image (assuming originX: 'center')
-                        -displayHeight / 2, // Center the image (assuming originY: 'center')
-                        displayWidth,
-                        displayHeight
-                    );
-
-                    console.log(`Image rendered: Original ${img.naturalWidth}x${img.naturalHeight}px → Display ${Math.round(displayWidth)}x${Math.round(displayHeight)}px`);
-                    ctx.restore();
-                    resolve();
-                };
-                img.onerror = () => {
-                    console.error('Failed to load original image for export');
-                    ctx.restore();
-                    resolve();
-                };
-                img.src = obj._originalSrc;
-            } else if (obj.type === 'i-text' || obj.type === 'text' || obj.type === 'textbox') {
-                // For text: render at high resolution (vector-based, scales perfectly)
-                const fontSize = (obj.fontSize || 24) * multiplier * (obj.scaleX || 1);
-                ctx.font = `${obj.fontStyle || ''} ${obj.fontWeight || ''} ${fontSize}px ${obj.fontFamily || 'Arial'}`.trim();
-                ctx.fillStyle = obj.fill || '#000000';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(obj.text || '', 0, 0);
-                ctx.restore();
-                resolve();
-            } else {
-                // For shapes: use fabric's built-in high-res rendering
-                // Create a temporary fabric canvas at high res for this object
-                const objCanvas = document.createElement('canvas');
-                const padding = 10 * multiplier;
-                const objWidth = (obj.width || 100) * (obj.scaleX || 1) * multiplier + padding * 2;
-                const objHeight = (obj.height || 100) * (obj.scaleY || 1) * multiplier + padding * 2;
-                objCanvas.width = objWidth;
-                objCanvas.height = objHeight;
-
-                const tempFabric = new fabric.StaticCanvas(objCanvas);
-
-                obj.clone((cloned) => {
-                    cloned.set({
-                        left: objWidth / 2,
-                        top: objHeight / 2,
-                        scaleX: (obj.scaleX || 1) * multiplier,
-                        scaleY: (obj.scaleY || 1) * multiplier,
-                        angle: 0 // Reset angle as we handle it in ctx
-                    });
+            printCanvas.loadFromJSON(json, () => {
+                this.disableObjectCaching(printCanvas.getObjects());
+                printCanvas.setViewportTransform([
+                    multiplier, 0, 0, multiplier,
+                    -region.left * multiplier,
+                    -region.top * multiplier
+                ]);
+                printCanvas.renderAll();
+                resolve(printCanvas);
+            });
+        });
+    }
 
-                    tempFabric.add(cloned);
-                    tempFabric.renderAll();
+    /**
+     * Export a view's design as SVG, cropped to its print area
+     * Text stays as live text with @font-face references, shapes are written as
+     * paths and raster images are embedded as data URLs. The SVG's width/height
+     * are the physical print size in inches.
+     *
+     * @param {Object} view - View data { image, printArea }
+     * @param {Array} objects - Serialized design objects for the view
+     * @returns {Promise<string>} - SVG markup
+     */
+    async exportViewSVG(view, objects = []) {
+        const bounds = await this.getViewPrintAreaBounds(view);
 
-                    ctx.drawImage(
-                        objCanvas,
-                        -objWidth / 2,
-                        -objHeight / 2
-                    );
+        const copies = JSON.parse(JSON.stringify(objects));
+        this.useOriginalImageSources(copies);
+        const embedded = await this.embedImageSources(copies);
 
-                    ctx.restore();
-                    resolve();
-                });
+        const svgCanvas = await this.createPrintCanvas(1, {
+            transparent: true,
+            json: { version: fabric.version, objects: embedded }
+        });
+        this.convertShapesToPaths(svgCanvas.getObjects());
+
+        const svg = svgCanvas.toSVG({
+            viewBox: { x: bounds.left, y: bounds.top, width: bounds.width, height: bounds.height },
+            width: `${bounds.widthInches}in`,
+            height: `${bounds.heightInches}in`
+        });
+        svgCanvas.dispose();
+
+        return this.addSVGFontFaces(svg, embedded);
+    }
+
+    /**
+     * Write basic shapes as <path> instead of <rect>, <circle>, <polygon>, ...
+     * (cutters and RIPs often only take paths). The outline is in the object's own
+     * coordinates, so Fabric adds transform and styles exactly as for the shape.
+     */
+    convertShapesToPaths(objects) {
+        objects.forEach(obj => {
+            if (obj.type === 'group') {
+                this.convertShapesToPaths(obj.getObjects());
+                return;
+            }
+
+            const d = this.getShapePathData(obj);
+            if (d) {
+                obj._toSVG = () => ['<path ', 'COMMON_PARTS', `d="${d}" />\n`];
+            }
+        });
+    }
+
+    /**
+     * Outline of a basic shape as SVG path data, centered like Fabric draws it
+     * @returns {string|null} - null for objects that aren't basic shapes
+     */
+    getShapePathData(obj) {
+        const n = (value) => fabric.util.toFixed(value, fabric.Object.NUM_FRACTION_DIGITS);
+        const polyline = (points, closed) => points
+            .map((p, i) => `${i === 0 ? 'M' : 'L'} ${n(p.x)} ${n(p.y)}`)
+            .join(' ') + (closed ? ' Z' : '');
+        const ellipse = (rx, ry) =>
+            `M ${n(rx)} 0 A ${n(rx)} ${n(ry)} 0 1 1 ${n(-rx)} 0 A ${n(rx)} ${n(ry)} 0 1 1 ${n(rx)} 0 Z`;
+
+        switch (obj.type) {
+            case 'rect': {
+                const w = obj.width, h = obj.height, x = -w / 2, y = -h / 2;
+                const rx = Math.min(obj.rx || 0, w / 2), ry = Math.min(obj.ry || 0, h / 2);
+                if (!rx || !ry) {
+                    return `M ${n(x)} ${n(y)} H ${n(x + w)} V ${n(y + h)} H ${n(x)} Z`;
+                }
+                const arc = `A ${n(rx)} ${n(ry)} 0 0 1`;
+                return `M ${n(x + rx)} ${n(y)} H ${n(x + w - rx)} ${arc} ${n(x + w)} ${n(y + ry)} ` +
+                    `V ${n(y + h - ry)} ${arc} ${n(x + w - rx)} ${n(y + h)} ` +
+                    `H ${n(x + rx)} ${arc} ${n(x)} ${n(y + h - ry)} ` +
+                    `V ${n(y + ry)} ${arc} ${n(x + rx)} ${n(y)} Z`;
+            }
+
+            case 'circle':
+                // Arcs (start/end angle) are already written as paths
+                return (obj.endAngle - obj.startAngle) % 360 === 0 ? ellipse(obj.radius, obj.radius) : null;
+
+            case 'ellipse':
+                return ellipse(obj.rx, obj.ry);
+
+            case 'triangle':
+                return polyline([
+                    { x: -obj.width / 2, y: obj.height / 2 },
+                    { x: 0, y: -obj.height / 2 },
+                    { x: obj.width / 2, y: obj.height / 2 }
+                ], true);
+
+            case 'line': {
+                const p = obj.calcLinePoints();
+                return polyline([{ x: p.x1, y: p.y1 }, { x: p.x2, y: p.y2 }], false);
+            }
+
+            case 'polygon':
+            case 'polyline':
+                return polyline(obj.points.map(p => ({ x: p.x - obj.pathOffset.x, y: p.y - obj.pathOffset.y })),
+                    obj.type === 'polygon');
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Replace remote image sources with data URLs so the SVG is self-contained
+     * Images that can't be read (e.g. blocked by CORS) keep their URL
+     */
+    async embedImageSources(objects = []) {
+        return Promise.all(objects.map(async (obj) => {
+            if (obj.objects) {
+                obj.objects = await this.embedImageSources(obj.objects);
+            }
+
+            if (obj.type === 'image' && obj.src && !obj.src.startsWith('data:')) {
+                try {
+                    const dataUrl = await this.imageToDataURL(obj.src);
+                    if (obj._originalSrc === obj.src) {
+                        obj._originalSrc = dataUrl;
+                    }
+                    obj.src = dataUrl;
+                } catch (error) {
+                    console.warn('Could not embed image, keeping link:', obj.src, error);
+                }
+            }
+
+            return obj;
+        }));
+    }
+
+    /**
+     * Load an image and return it as a PNG data URL
+     */
+    imageToDataURL(url) {
+        return new Promise((resolve, reject) => {
+            fabric.util.loadImage(url, (img) => {
+                if (!img) {
+                    reject(new Error(`Failed to load image: ${url}`));
+                    return;
+                }
+
+                const el = fabric.util.createCanvasElement();
+                el.width = img.naturalWidth || img.width;
+                el.height = img.naturalHeight || img.height;
+                el.getContext('2d').drawImage(img, 0, 0);
+
+                try {
+                    resolve(el.toDataURL('image/png'));
+                } catch (error) {
+                    reject(error);  // Tainted canvas
+                }
+            }, null, 'anonymous');
+        });
+    }
+
+    /**
+     * Add @font-face references for every font family used by text objects
+     * Families registered in fabric.fontPaths are already emitted by Fabric
+     */
+    addSVGFontFaces(svg, objects) {
+        const families = new Set();
+        const collect = (list) => list.forEach(obj => {
+            if (obj.fontFamily) families.add(obj.fontFamily);
+            if (obj.objects) collect(obj.objects);
+        });
+        collect(objects);
+
+        const faces = [...families]
+            .filter(family => !fabric.fontPaths[family])
+            .map(family => {
+                const name = family.replace(/'/g, "\\'");
+                return `\t\t@font-face {\n\t\t\tfont-family: '${name}';\n\t\t\tsrc: local('${name}');\n\t\t}\n`;
+            });
+
+        if (faces.length === 0) return svg;
+
+        const style = `<style type="text/css"><![CDATA[\n${faces.join('')}]]></style>\n`;
+        return svg.replace('<defs>\n', `<defs>\n${style}`);
+    }
+
+    /**
+     * Point serialized images at their original high-res source
+     * Keeps the on-canvas size by folding the resolution difference into scale
+     */
+    useOriginalImageSources(objects = []) {
+        objects.forEach(obj => {
+            if (obj.objects) {
+                this.useOriginalImageSources(obj.objects);
+            }
+
+            if (obj.type !== 'image' || !obj._originalSrc || obj._originalSrc === obj.src) return;
+            if (obj.cropX || obj.cropY || !obj._originalWidth || !obj._originalHeight) return;
+
+            obj.scaleX *= obj.width / obj._originalWidth;
+            obj.scaleY *= obj.height / obj._originalHeight;
+            obj.width = obj._originalWidth;
+            obj.height = obj._originalHeight;
+            obj.src = obj._originalSrc;
+        });
+    }
+
+    /**
+     * Render objects (and group members) directly instead of from cache
+     */
+    disableObjectCaching(objects) {
+        objects.forEach(obj => {
+            obj.objectCaching = false;
+            if (obj.getObjects) {
+                this.disableObjectCaching(obj.getObjects());
             }
         });
     }
@@ -1244,6 +1686,37 @@ export class CanvasManager {
         console.log(`Downloaded ${filename} at ${targetDPI} DPI`);
     }
 
+    /**
+     * Download an SVG string as a file
+     */
+    downloadSVG(svg, filename = 'design.svg') {
+        const blob = new Blob([svg], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+
+        // Revoking right away can cancel the download before the browser starts it
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        console.log(`Downloaded ${filename}`);
+    }
+
+    /**
+     * Download the print area only as a transparent PNG at physical size
+     */
+    async downloadPrintArea(filename = 'print-area.png', targetDPI = 300) {
+        const dataUrl = await this.exportPrintArea(targetDPI);
+
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = dataUrl;
+        link.click();
+
+        console.log(`Downloaded ${filename} at ${targetDPI} DPI`);
+    }
+
     /**
      * Clear canvas
      */
@@ -1251,7 +1724,7 @@ export class CanvasManager {
         this.fabricCanvas.clear();
         this.fabricCanvas.backgroundColor = this.options.backgroundColor;
         this.fabricCanvas.requestRenderAll();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Clear canvas' });
         this.events.emit('layers:update');
     }
 
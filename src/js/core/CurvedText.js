@@ -0,0 +1,192 @@
+/**
+ * CurvedText - Fabric.js object that lays text out along a circular arc
+ * Registered as fabric.CurvedText (type 'curved-text') so it survives
+ * toJSON / loadFromJSON / enlivenObjects like any built-in object
+ */
+
+const LAYOUT_PROPERTIES = ['text', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'radius', 'spacing', 'flipped'];
+
+export const CurvedText = fabric.util.createClass(fabric.Object, {
+    type: 'curved-text',
+
+    text: '',
+    fontFamily: 'Arial',
+    fontSize: 24,
+    fontWeight: 'normal',
+    fontStyle: 'normal',
+    fill: '#000000',
+    radius: 100,      // Radius of the baseline circle in pixels
+    spacing: 0,       // Extra spacing between letters in pixels
+    flipped: false,   // false = outside (top of circle), true = inside (bottom of circle)
+
+    cacheProperties: fabric.Object.prototype.cacheProperties.concat(LAYOUT_PROPERTIES),
+
+    /**
+     * @param {string} text - Text content
+     * @param {Object} options - Fabric options plus radius, spacing, flipped
+     */
+    initialize(text, options = {}) {
+        this.callSuper('initialize', options);
+        this.text = text || '';
+        this.initDimensions();
+    },
+
+    /**
+     * Recalculate layout whenever a layout-affecting property changes
+     */
+    _set(key, value) {
+        this.callSuper('_set', key, value);
+        if (LAYOUT_PROPERTIES.includes(key) && this._layout) {
+            this.initDimensions();
+        }
+        return this;
+    },
+
+    /**
+     * Build the CSS font declaration used for measuring and drawing
+     */
+    getFontDeclaration(fontSize = this.fontSize) {
+        return `${this.fontStyle || 'normal'} ${this.fontWeight || 'normal'} ${fontSize}px "${this.fontFamily}"`;
+    },
+
+    /**
+     * Measure each character and place it on the arc
+     * Positions are relative to the circle center; width/height become the arc's bounding box
+     */
+    initDimensions() {
+        const ctx = fabric.util.createCanvasElement().getContext('2d');
+        ctx.font = this.getFontDeclaration();
+
+        const chars = Array.from(this.text);
+        const widths = chars.map(char => ctx.measureText(char).width);
+        const metrics = ctx.measureText(this.text || 'M');
+        const ascent = metrics.actualBoundingBoxAscent || this.fontSize * 0.8;
+        const descent = metrics.actualBoundingBoxDescent || this.fontSize * 0.2;
+
+        const radius = Math.max(this.radius, 1);
+        const arcLength = widths.reduce((sum, w) => sum + w, 0) + this.spacing * Math.max(chars.length - 1, 0);
+        let offset = -arcLength / 2;
+
+        const placed = chars.map((char, i) => {
+            const angle = (offset + widths[i] / 2) / radius;
+            offset += widths[i] + this.spacing;
+
+            // Outside: letters stand on top of the circle, reading clockwise
+            // Inside: letters hang under the circle, tops pointing to the center
+            return this.flipped
+                ? { char, width: widths[i], x: radius * Math.sin(angle), y: radius * Math.cos(angle), rotation: -angle }
+                : { char, width: widths[i], x: radius * Math.sin(angle), y: -radius * Math.cos(angle), rotation: angle };
+        });
+
+        // Bounding box from every glyph's rotated corners
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        placed.forEach(({ width, x, y, rotation }) => {
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            [[-width / 2, -ascent], [width / 2, -ascent], [width / 2, descent], [-width / 2, descent]].forEach(([cx, cy]) => {
+                const px = x + cx * cos - cy * sin;
+                const py = y + cx * sin + cy * cos;
+                minX = Math.min(minX, px);
+                maxX = Math.max(maxX, px);
+                minY = Math.min(minY, py);
+                maxY = Math.max(maxY, py);
+            });
+        });
+
+        if (placed.length === 0) {
+            minX = minY = maxX = maxY = 0;
+        }
+
+        this._layout = {
+            chars: placed,
+            offsetX: -(minX + maxX) / 2,
+            offsetY: -(minY + maxY) / 2
+        };
+        this.width = Math.max(maxX - minX, 1);
+        this.height = Math.max(maxY - minY, 1);
+        this.setCoords();
+    },
+
+    /**
+     * Get the character layout (relative to the object center)
+     * Used by exporters that draw the text themselves
+     */
+    getCharLayout() {
+        const { chars, offsetX, offsetY } = this._layout;
+        return chars.map(c => ({ ...c, x: c.x + offsetX, y: c.y + offsetY }));
+    },
+
+    /**
+     * Draw each character rotated along the arc
+     */
+    _render(ctx) {
+        ctx.font = this.getFontDeclaration();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+
+        this.getCharLayout().forEach(({ char, x, y, rotation }) => {
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(rotation);
+            if (this.fill) {
+                ctx.fillStyle = this.fill;
+                ctx.fillText(char, 0, 0);
+            }
+            if (this.stroke && this.strokeWidth) {
+                ctx.strokeStyle = this.stroke;
+                ctx.lineWidth = this.strokeWidth;
+                ctx.strokeText(char, 0, 0);
+            }
+            ctx.restore();
+        });
+    },
+
+    /**
+     * SVG markup: one positioned <text> per character, so it stays live text
+     * Fill/stroke/transform come from Fabric's common attributes on the group
+     */
+    _toSVG() {
+        const { escapeXml } = fabric.util.string;
+        const toFixed = (value) => fabric.util.toFixed(value, fabric.Object.NUM_FRACTION_DIGITS);
+        const family = escapeXml(this.fontFamily);
+
+        const markup = [
+            '<g ', 'COMMON_PARTS',
+            ` font-family="${family}" font-size="${this.fontSize}" font-weight="${this.fontWeight}"`,
+            ` font-style="${this.fontStyle}" text-anchor="middle" xml:space="preserve">\n`
+        ];
+
+        this.getCharLayout().forEach(({ char, x, y, rotation }) => {
+            const angle = toFixed(fabric.util.radiansToDegrees(rotation));
+            markup.push(`\t<text transform="translate(${toFixed(x)} ${toFixed(y)}) rotate(${angle})">${escapeXml(char)}</text>\n`);
+        });
+
+        markup.push('</g>\n');
+        return markup;
+    },
+
+    /**
+     * Serialize including curve settings
+     */
+    toObject(propertiesToInclude) {
+        return fabric.util.object.extend(this.callSuper('toObject', propertiesToInclude), {
+            text: this.text,
+            fontFamily: this.fontFamily,
+            fontSize: this.fontSize,
+            fontWeight: this.fontWeight,
+            fontStyle: this.fontStyle,
+            radius: this.radius,
+            spacing: this.spacing,
+            flipped: this.flipped
+        });
+    }
+});
+
+/**
+ * Restore from serialized data (used by loadFromJSON / enlivenObjects)
+ */
+CurvedText.fromObject = (object, callback) => {
+    return fabric.Object._fromObject('CurvedText', object, callback, 'text');
+};
+
+fabric.CurvedText = CurvedText;
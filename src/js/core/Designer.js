@@ -5,11 +5,25 @@
 
 import { CanvasManager } from './CanvasManager.js';
 import { ProductLoader, productLoader } from './ProductLoader.js';
+import { SCHEMA_VERSION } from './Migrations.js';
+import { storage } from './Storage.js';
 import { ToolbarManager } from '../modules/ToolbarManager.js';
 import { SidebarManager } from '../modules/SidebarManager.js';
 import { LayerManager } from '../modules/LayerManager.js';
 import { HistoryManager } from '../modules/HistoryManager.js';
+import { HistoryPanel } from '../modules/HistoryPanel.js';
+import { HistoryStore } from '../modules/HistoryStore.js';
 import { StageManager } from '../modules/StageManager.js';
+import { GuidesManager } from '../modules/GuidesManager.js';
+import { GridManager } from '../modules/GridManager.js';
+import { RulerManager } from '../modules/RulerManager.js';
+import { ProductionSheet } from '../modules/ProductionSheet.js';
+import { DesignLibrary } from '../modules/DesignLibrary.js';
+import { AutosaveManager } from '../modules/AutosaveManager.js';
+import { ShareManager } from '../modules/ShareManager.js';
+import { DeepLinkManager } from '../modules/DeepLinkManager.js';
+import { DesignFileImporter } from '../modules/DesignFileImporter.js';
+import { ZipWriter } from '../utils/ZipWriter.js';
 
 export class Designer {
     constructor(options = {}) {
@@ -19,6 +33,9 @@ export class Designer {
             height: 600,
             backgroundColor: '#ffffff',
             productId: null,  // Optional: Load specific product on init
+            colorId: null,    // Optional: Color (id or name) for that product
+            viewId: null,     // Optional: View to show first (id or name)
+            templateId: null, // Optional: Template to start the design from
             ...options
         };
 
@@ -47,6 +64,34 @@ export class Designer {
         this.modules.toolbar = new ToolbarManager(this.canvas);
         this.modules.sidebar = new SidebarManager(this.canvas);
         this.modules.layers = new LayerManager(this.canvas);
+        this.modules.historyPanel = new HistoryPanel(this.modules.history);
+
+        // Initialize saved designs library ("My Designs" tab)
+        this.modules.library = new DesignLibrary(this);
+
+        // Initialize "Open File" for downloaded design JSON
+        this.modules.designFile = new DesignFileImporter(this);
+
+        // Initialize undo history persistence (per design, across reloads)
+        this.modules.historyStore = new HistoryStore(this);
+
+        // Initialize autosave (crash recovery)
+        this.modules.autosave = new AutosaveManager(this);
+
+        // Initialize shareable design links
+        this.modules.share = new ShareManager(this);
+
+        // Initialize URL parameters (?product=&color=&view=&template=)
+        this.modules.deepLink = new DeepLinkManager(this);
+
+        // Initialize smart guides (snapping while moving)
+        this.modules.guides = new GuidesManager(this.canvas);
+
+        // Initialize grid overlay (toggle-grid tool; snaps moves together with the guides)
+        this.modules.grid = new GridManager(this.canvas, this.modules.guides);
+
+        // Initialize rulers (inch/cm, zero at print area origin)
+        this.modules.rulers = new RulerManager(this.canvas);
 
         // Set up global keyboard shortcuts
         this.setupKeyboardShortcuts();
@@ -66,16 +111,24 @@ export class Designer {
         // Set up VAS panel
         this.setupVASPanel();
 
-        // If a product ID was provided, load it
-        if (this.options.productId) {
-            this.loadProduct(this.options.productId);
-        } else {
-            // Check for products and show selector or defaults
+        // Open the requested product/template, otherwise check for products and show selector or defaults
+        const opened = Boolean(this.options.productId || this.options.templateId) &&
+            this.modules.deepLink.open(this.options);
+        if (!opened) {
             this.checkAvailableProducts();
         }
 
         // Emit ready event
         this.events.emit('designer:ready', this);
+
+        // Once the page is up: open a shared design link, or offer to restore an unsaved session
+        setTimeout(async () => {
+            if (await this.modules.share.openFromUrl()) {
+                this.modules.autosave.start();
+            } else {
+                this.modules.autosave.recover();
+            }
+        }, 0);
     }
 
     /**
@@ -724,6 +777,7 @@ export class Designer {
             reader.onload = (evt) => {
                 this.productLoader.setNeckTagImage(sizeId, evt.target.result);
                 this.renderVASPanel();
+                this.events.emit('vas:neckTagChanged', { sizeId });
             };
             reader.readAsDataURL(file);
         };
@@ -753,15 +807,22 @@ export class Designer {
 
     /**
      * Load a product by ID
+     * @param {Object} orderState - Optional color/sizes/services to restore (ProductLoader.getOrderState)
      */
-    loadProduct(productId) {
-        const productData = this.productLoader.loadProduct(productId);
+    loadProduct(productId, orderState = null) {
+        let productData = this.productLoader.loadProduct(productId);
 
         if (!productData) {
             console.error('Failed to load product:', productId);
             return false;
         }
 
+        // Restore order choices before anything renders, so views load in the saved color
+        if (orderState) {
+            this.productLoader.restoreOrderState(orderState);
+            productData = this.productLoader.getProcessedProduct();
+        }
+
         this.currentProduct = productData;
 
         // Update product selector to show current selection
@@ -1008,6 +1069,18 @@ export class Designer {
             case 'download-print':
                 this.downloadPrint();
                 break;
+            case 'download-print-area':
+                this.downloadPrintArea();
+                break;
+            case 'download-svg':
+                this.downloadSVG();
+                break;
+            case 'download-pdf':
+                this.downloadProductionSheet();
+                break;
+            case 'download-all':
+                this.downloadAll();
+                break;
             case 'download-json':
                 this.downloadJSON();
                 break;
@@ -1031,6 +1104,9 @@ export class Designer {
             case 'load':
                 this.loadDesign();
                 break;
+            case 'share':
+                this.shareDesign();
+                break;
             case 'preview':
                 this.preview();
                 break;
@@ -1061,46 +1137,68 @@ export class Designer {
     }
 
     /**
-     * Save design to JSON
+     * Save design to the "My Designs" library
      */
-    saveDesign() {
-        const data = this.getDesignData();
-        const json = JSON.stringify(data);
-
-        // For now, save to localStorage
-        localStorage.setItem('cpd_savedDesign', json);
-
-        this.events.emit('design:saved', data);
-        alert('Design saved!');
+    async saveDesign() {
+        const entry = await this.modules.library.saveCurrent();
+        if (entry) {
+            alert(`Design "${entry.name}" saved!`);
+        }
     }
 
     /**
-     * Load design from JSON
+     * Load design - pick one from the "My Designs" library
      */
     loadDesign() {
-        const json = localStorage.getItem('cpd_savedDesign');
-        if (json) {
-            try {
-                const data = JSON.parse(json);
-
-                // Load product if specified
-                if (data.productId) {
-                    this.loadProduct(data.productId);
-                }
+        this.modules.sidebar.showTab('designs');
+    }
 
-                // Load stages data
-                if (data.stages) {
-                    this.modules.stages.loadStagesData(data.stages);
-                }
+    /**
+     * Share design - copy a link that opens it
+     */
+    async shareDesign() {
+        let link;
+        try {
+            link = await this.modules.share.createLink();
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            alert('Failed to create a share link.');
+            return;
+        }
+
+        const { url, reason } = link;
+        if (!url) {
+            alert(reason);
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Share link copied to clipboard!');
+        } catch (error) {
+            prompt('Copy this link to share the design:', url);
+        }
+    }
+
+    /**
+     * Put a saved design (getDesignData format) back on the canvas
+     */
+    restoreDesign(data) {
+        try {
+            // Load product if specified (with the order choices, if saved)
+            if (data.productId) {
+                this.loadProduct(data.productId, data.order || null);
+            }
 
-                this.events.emit('design:loaded', data);
-                alert('Design loaded!');
-            } catch (error) {
-                console.error('Failed to load design:', error);
-                alert('Failed to load design');
+            // Load stages data
+            if (data.stages) {
+                this.modules.stages.loadStagesData(data.stages);
             }
-        } else {
-            alert('No saved design found');
+
+            this.events.emit('design:loaded', data);
+        } catch (error) {
+            console.error('Failed to load design:', error);
+            alert('Failed to load design');
         }
     }
 
@@ -1159,10 +1257,165 @@ export class Designer {
     }
 
     /**
-     * Download as editable JSON
+     * Download the print area only (transparent, physical size at 300 DPI)
+     * For DTG/DTF workflows where margins and background must not print
+     */
+    async downloadPrintArea() {
+        console.log('Preparing print area export (300 DPI, transparent)...');
+
+        try {
+            const stageId = this.modules.stages.getCurrentStage();
+            const filename = `print-area-${stageId || 'design'}-300dpi.png`;
+            await this.canvas.downloadPrintArea(filename, 300);
+            this.events.emit('design:downloaded', { dpi: 300, printArea: true });
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert('Failed to export the print area. Please try again.');
+        }
+    }
+
+    /**
+     * Download one SVG per designed stage, each cropped to its print area
+     * Vector artwork for screen printing. Several views come as one ZIP
+     * (design-svg.zip with views/<id>.svg) - browsers block a burst of downloads.
      */
-    downloadJSON() {
-        const data = this.getDesignData();
+    async downloadSVG() {
+        const stages = this.modules.stages.getStagesForExport()
+            .filter(stage => stage.objects.length > 0);
+
+        if (stages.length === 0) {
+            alert('Add something to your design before exporting.');
+            return;
+        }
+
+        try {
+            if (stages.length === 1) {
+                const svg = await this.canvas.exportViewSVG(stages[0].view, stages[0].objects);
+                this.canvas.downloadSVG(svg, `design-${stages[0].id}.svg`);
+            } else {
+                const zip = new ZipWriter();
+                for (const stage of stages) {
+                    await zip.addFile(`views/${stage.id}.svg`, await this.canvas.exportViewSVG(stage.view, stage.objects));
+                }
+
+                const url = URL.createObjectURL(zip.toBlob());
+                const link = document.createElement('a');
+                link.download = 'design-svg.zip';
+                link.href = url;
+                link.click();
+
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                console.log('Downloaded SVG bundle');
+            }
+            this.events.emit('design:downloaded', { format: 'svg', stages: stages.map(s => s.id) });
+        } catch (error) {
+            console.error('SVG export failed:', error);
+            alert('Failed to export SVG. Please try again.');
+        }
+    }
+
+    /**
+     * Download the production sheet PDF (order summary + one page per designed view)
+     */
+    async downloadProductionSheet() {
+        console.log('Preparing production sheet...');
+
+        try {
+            const sheet = new ProductionSheet(this.canvas, this.modules.stages);
+            const blob = await sheet.generate();
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.download = 'production-sheet.pdf';
+            link.href = url;
+            link.click();
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            console.log('Downloaded production sheet');
+            this.events.emit('design:downloaded', { format: 'pdf' });
+        } catch (error) {
+            console.error('Production sheet export failed:', error);
+            alert('Failed to create the production sheet. Please try again.');
+        }
+    }
+
+    /**
+     * Download every designed view at print DPI as one ZIP
+     * Contains views/<id>-<dpi>dpi.png (print area only, transparent),
+     * design.json (editable) and manifest.json (what's in the bundle)
+     */
+    async downloadAll() {
+        const stages = this.modules.stages.getStagesForExport()
+            .filter(stage => stage.objects.length > 0);
+
+        if (stages.length === 0) {
+            alert('Add something to your design before exporting.');
+            return;
+        }
+
+        const dpi = this.productLoader.getSettings().defaultDPI || 300;
+        console.log(`Preparing ZIP bundle of ${stages.length} view(s) at ${dpi} DPI...`);
+
+        try {
+            const zip = new ZipWriter();
+            const views = [];
+
+            for (const stage of stages) {
+                const render = await this.canvas.renderViewPrintArea(stage.view, stage.objects, dpi);
+                const file = `views/${stage.id}-${dpi}dpi.png`;
+                await zip.addDataURL(file, render.dataUrl);
+
+                views.push({
+                    id: stage.id,
+                    label: stage.label,
+                    file,
+                    dpi,
+                    widthInches: render.bounds.widthInches,
+                    heightInches: render.bounds.heightInches,
+                    pixelWidth: render.width,
+                    pixelHeight: render.height
+                });
+            }
+
+            await zip.addFile('design.json', JSON.stringify(await this.getPortableDesignData(), null, 2));
+            await zip.addFile('manifest.json', JSON.stringify({
+                createdAt: new Date().toISOString(),
+                productId: this.currentProduct?.id || null,
+                productName: this.currentProduct?.name || null,
+                color: this.productLoader.getCurrentColor()?.name || null,
+                order: this.productLoader.getFullOrderDetails(),
+                design: 'design.json',
+                views
+            }, null, 2));
+
+            const url = URL.createObjectURL(zip.toBlob());
+            const link = document.createElement('a');
+            link.download = 'design-bundle.zip';
+            link.href = url;
+            link.click();
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            console.log('Downloaded ZIP bundle');
+            this.events.emit('design:downloaded', { format: 'zip', stages: views.map(view => view.id) });
+        } catch (error) {
+            console.error('ZIP export failed:', error);
+            alert('Failed to create the download bundle. Please try again.');
+        }
+    }
+
+    /**
+     * Download as editable JSON (open again with openDesignFile)
+     */
+    async downloadJSON() {
+        let data;
+        try {
+            data = await this.getPortableDesignData();
+        } catch (error) {
+            console.error('JSON export failed:', error);
+            alert('Failed to export the design. Please try again.');
+            return;
+        }
+
         const json = JSON.stringify(data, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
@@ -1172,15 +1425,23 @@ export class Designer {
         link.href = url;
         link.click();
 
-        URL.revokeObjectURL(url);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
         console.log('Downloaded editable JSON');
         this.events.emit('design:downloaded', { format: 'json' });
     }
 
+    /**
+     * Open a design JSON file (downloadJSON format) from disk
+     */
+    openDesignFile() {
+        this.modules.designFile.open();
+    }
+
     /**
      * Add to cart
+     * Listeners of 'design:beforeAddToCart' can cancel by returning false
      */
-    addToCart() {
+    async addToCart() {
         // Save current stage first
         this.modules.stages.saveCurrentStageDesign?.();
 
@@ -1191,30 +1452,46 @@ export class Designer {
         const designObjects = this.canvas.getDesignObjects();
         const price = this.productLoader.calculatePrice(designObjects);
 
-        this.events.emit('design:addToCart', {
+        const item = {
             productId: this.currentProduct?.id,
             productName: this.currentProduct?.name,
             design: designData,
             thumbnail: thumbnail,
             price: price,
             viewsUsed: this.modules.stages.getDesignedStagesCount?.() || 1
-        });
+        };
+
+        if (!await this.events.emitCancelable('design:beforeAddToCart', item)) {
+            return;
+        }
+
+        this.events.emit('design:addToCart', item);
 
         alert(`Design added to cart! Price: $${price.toFixed(2)}`);
     }
 
     /**
      * Get current design data
+     * order: color, per-color size quantities and services (incl. neck tag images)
      */
     getDesignData() {
         return {
+            schemaVersion: SCHEMA_VERSION,
             productId: this.currentProduct?.id,
             productName: this.currentProduct?.name,
+            order: this.productLoader.getOrderState(),
             stages: this.modules.stages.getStagesData(),
             timestamp: Date.now()
         };
     }
 
+    /**
+     * Design data with stored images embedded, for files that leave the browser
+     */
+    getPortableDesignData() {
+        return storage.embedImages(this.getDesignData());
+    }
+
     /**
      * Calculate current design price
      */
@@ -1,54 +1,78 @@
 /**
  * EventBus - Simple pub/sub system for module communication
  * Allows decoupled communication between components
+ *
+ * Besides exact names, listeners can subscribe to a namespace ('object:*') or to
+ * everything ('*'); such listeners get the event name as an extra last argument.
+ * Listeners run highest priority first (default 0), then in subscription order.
+ *
+ * Integrations can hook into flows: emitAsync awaits every listener and collects
+ * what they return, emitCancelable lets a listener veto by returning false
+ * (e.g. 'design:beforeAddToCart').
  */
 
 export class EventBus {
     constructor() {
-        this.events = new Map();
+        this.events = new Map();   // Event name or pattern → listeners
+        this.nextOrder = 0;        // Subscription order across patterns
+        this.cache = new Map();    // Event name → listeners in run order (see getListeners)
     }
 
     /**
      * Subscribe to an event
-     * @param {string} event - Event name
+     * @param {string} event - Event name, 'namespace:*' or '*'
      * @param {Function} callback - Callback function
+     * @param {Object} [options] - { priority } (higher runs first, default 0)
      * @returns {Function} Unsubscribe function
      */
-    on(event, callback) {
-        if (!this.events.has(event)) {
-            this.events.set(event, []);
-        }
-        this.events.get(event).push(callback);
-
-        // Return unsubscribe function
-        return () => this.off(event, callback);
+    on(event, callback, { priority = 0 } = {}) {
+        return this.addListener(event, callback, priority, false);
     }
 
     /**
      * Subscribe to an event once
-     * @param {string} event - Event name
+     * @param {string} event - Event name, 'namespace:*' or '*'
      * @param {Function} callback - Callback function
+     * @param {Object} [options] - { priority }
+     * @returns {Function} Unsubscribe function
      */
-    once(event, callback) {
-        const wrapper = (...args) => {
-            callback(...args);
-            this.off(event, wrapper);
-        };
-        this.on(event, wrapper);
+    once(event, callback, { priority = 0 } = {}) {
+        return this.addListener(event, callback, priority, true);
+    }
+
+    addListener(event, callback, priority, once) {
+        if (!this.events.has(event)) {
+            this.events.set(event, []);
+        }
+        const listener = { pattern: event, callback, priority, once, order: this.nextOrder++ };
+        this.events.get(event).push(listener);
+        this.cache.clear();
+
+        // Return unsubscribe function (removes this subscription, even if the callback has others)
+        return () => this.removeListener(listener);
     }
 
     /**
      * Unsubscribe from an event
-     * @param {string} event - Event name
+     * @param {string} event - Event name or pattern it was subscribed with
      * @param {Function} callback - Callback function to remove
      */
     off(event, callback) {
         if (!this.events.has(event)) return;
 
-        const callbacks = this.events.get(event);
-        const index = callbacks.indexOf(callback);
+        const listener = this.events.get(event).find(l => l.callback === callback);
+        if (listener) {
+            this.removeListener(listener);
+        }
+    }
+
+    removeListener(listener) {
+        const listeners = this.events.get(listener.pattern);
+        const index = listeners ? listeners.indexOf(listener) : -1;
         if (index > -1) {
-            callbacks.splice(index, 1);
+            listeners.splice(index, 1);
+            listener.removed = true;  // Skipped by an emit that's already running
+            this.cache.clear();
         }
     }
 
@@ -58,15 +82,102 @@ export class EventBus {
      * @param {...any} args - Arguments to pass to callbacks
      */
     emit(event, ...args) {
-        if (!this.events.has(event)) return;
+        this.getListeners(event).forEach(listener => {
+            try {
+                const result = this.invoke(listener, event, args);
+
+                // Nobody awaits an async listener here - report its failure like a sync one
+                if (typeof result?.then === 'function') {
+                    result.then(null, error => this.logError(event, error));
+                }
+            } catch (error) {
+                this.logError(event, error);
+            }
+        });
+    }
+
+    /**
+     * Emit an event and wait for every listener, one after another
+     * @param {string} event - Event name
+     * @param {...any} args - Arguments to pass to callbacks
+     * @returns {Promise<Array>} - What each listener returned (undefined where it failed)
+     */
+    async emitAsync(event, ...args) {
+        const results = [];
+
+        for (const listener of this.getListeners(event)) {
+            if (listener.removed) continue;  // Unsubscribed by an earlier listener
+            try {
+                results.push(await this.invoke(listener, event, args));
+            } catch (error) {
+                this.logError(event, error);
+                results.push(undefined);
+            }
+        }
 
-        this.events.get(event).forEach(callback => {
+        return results;
+    }
+
+    /**
+     * Ask listeners whether to go ahead; one returning false cancels and stops the rest
+     * A failing listener doesn't cancel (a broken integration shouldn't block the flow)
+     * @param {string} event - Event name
+     * @param {...any} args - Arguments to pass to callbacks
+     * @returns {Promise<boolean>} - False if cancelled
+     */
+    async emitCancelable(event, ...args) {
+        for (const listener of this.getListeners(event)) {
             try {
-                callback(...args);
+                if (await this.invoke(listener, event, args) === false) {
+                    return false;
+                }
             } catch (error) {
-                console.error(`Error in event handler for "${event}":`, error);
+                this.logError(event, error);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Listeners for an event (exact and wildcard), in the order they run
+     * Cached per event name until listeners change - emit runs on every pointer move.
+     * A cached list is never modified, so it's a snapshot for an emit in progress.
+     */
+    getListeners(event) {
+        if (this.cache.has(event)) return this.cache.get(event);
+
+        const listeners = [];
+        this.events.forEach((list, pattern) => {
+            if (this.matches(pattern, event)) {
+                listeners.push(...list);
             }
         });
+
+        listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+        this.cache.set(event, listeners);
+        return listeners;
+    }
+
+    matches(pattern, event) {
+        if (pattern === event || pattern === '*') return true;
+        return pattern.endsWith(':*') && event.startsWith(pattern.slice(0, -1));
+    }
+
+    invoke(listener, event, args) {
+        if (listener.removed) return undefined;
+
+        if (listener.once) {
+            this.removeListener(listener);
+        }
+
+        return listener.pattern === event
+            ? listener.callback(...args)
+            : listener.callback(...args, event);
+    }
+
+    logError(event, error) {
+        console.error(`Error in event handler for "${event}":`, error);
     }
 
     /**
@@ -74,10 +185,11 @@ export class EventBus {
      * @param {string} [event] - Event name (optional)
      */
     clear(event) {
-        if (event) {
-            this.events.delete(event);
-        } else {
-            this.events.clear();
-        }
+        const patterns = event ? [event] : [...this.events.keys()];
+        patterns.forEach(pattern => {
+            this.events.get(pattern)?.forEach(listener => { listener.removed = true; });
+            this.events.delete(pattern);
+        });
+        this.cache.clear();
     }
 }
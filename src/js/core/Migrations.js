@@ -0,0 +1,293 @@
+/**
+ * Migrations - Schema versioning for stored products, designs and orders
+ *
+ * Stored collections share one schema version (storage key 'schemaVersion');
+ * designs also carry their own schemaVersion since they travel on their own
+ * (saved designs, imports, links). Records are upgraded step by step on load,
+ * and every change is recorded in a report.
+ *
+ * To change the schema: bump SCHEMA_VERSION and append a step to MIGRATIONS.
+ * A step gets one record plus note(message) and must be safe to run again.
+ * Records come from storage and files, so a step skips fields of the wrong type
+ * instead of failing (validation reports them).
+ */
+
+import { storage } from './Storage.js';
+
+export const SCHEMA_VERSION = 2;
+
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Images per color, print sizes in printWidthInches/printHeightInches',
+
+        products(product, note) {
+            const views = (Array.isArray(product.views) ? product.views : []).filter(isObject);
+
+            // Print size: admin canonical names are printWidthInches/printHeightInches
+            views.forEach(view => {
+                const printArea = view.printArea;
+                if (!isObject(printArea)) return;
+
+                if (printArea.printWidthInches === undefined && printArea.widthInches !== undefined) {
+                    printArea.printWidthInches = printArea.widthInches;
+                    note(`View "${view.name || view.id}": widthInches → printWidthInches`);
+                }
+                if (printArea.printHeightInches === undefined && printArea.heightInches !== undefined) {
+                    printArea.printHeightInches = printArea.heightInches;
+                    note(`View "${view.name || view.id}": heightInches → printHeightInches`);
+                }
+                delete printArea.widthInches;
+                delete printArea.heightInches;
+            });
+
+            // Legacy view.image → every color's viewImages
+            const legacyViews = views.filter(view => view.image);
+            if (legacyViews.length > 0) {
+                if (product.colors !== undefined && product.colors !== null && !Array.isArray(product.colors)) {
+                    note('Legacy view images not moved: "colors" is not a list');
+                    return;
+                }
+                if (!product.colors || product.colors.length === 0) {
+                    product.colors = [{ id: 'color_default', name: 'Default', colorCode: '#ffffff', viewImages: {} }];
+                    note('Added a "Default" color for legacy view images');
+                }
+
+                legacyViews.forEach(view => {
+                    product.colors.filter(isObject).forEach(color => {
+                        if (!isObject(color.viewImages)) color.viewImages = {};
+                        if (!color.viewImages[view.id]) {
+                            color.viewImages[view.id] = view.image;
+                        }
+                    });
+                    delete view.image;
+                    note(`View "${view.name || view.id}": image moved to color view images`);
+                });
+            }
+        },
+
+        designs(design, note) {
+            // Designer print areas use widthInches/heightInches
+            const stages = isObject(design.stages) ? design.stages : {};
+            Object.entries(stages).forEach(([id, stage]) => {
+                if (!isObject(stage)) return;
+
+                if (!Array.isArray(stage.designState)) {
+                    stage.designState = [];
+                }
+
+                const printArea = stage.viewData?.printArea;
+                if (!isObject(printArea)) return;
+
+                if (printArea.widthInches === undefined && printArea.printWidthInches !== undefined) {
+                    printArea.widthInches = printArea.printWidthInches;
+                    printArea.heightInches = printArea.printHeightInches;
+                    delete printArea.printWidthInches;
+                    delete printArea.printHeightInches;
+                    note(`Stage "${stage.label || id}": printWidthInches → widthInches`);
+                }
+            });
+        },
+
+        orders(order, note) {
+            if (!order.status) {
+                order.status = 'pending';
+                note('Status set to "pending"');
+            }
+            if (!order.updatedAt && order.createdAt) {
+                order.updatedAt = order.createdAt;
+            }
+        }
+    }
+];
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export class MigrationRunner {
+    constructor() {
+        this.lastReport = null;
+    }
+
+    /**
+     * Upgrade stored collections to the current schema (once per version)
+     * Run by the admin (DataStore.ready) - the storefront never writes catalog data
+     * @returns {Promise<Object>} - Migration report
+     */
+    async migrateStorage() {
+        const fromVersion = storage.get('schemaVersion') || 1;
+        const report = this.createReport(fromVersion);
+
+        if (fromVersion < SCHEMA_VERSION) {
+            const products = storage.get('products');
+            if (Array.isArray(products)) {
+                await storage.set('products', this.migrateRecords('products', products, fromVersion, report));
+            }
+
+            const orders = storage.get('orders');
+            if (Array.isArray(orders)) {
+                await storage.set('orders', this.migrateRecords('orders', orders, fromVersion, report));
+            }
+
+            const designs = storage.get('designs');
+            if (Array.isArray(designs)) {
+                await storage.set('designs', designs.map(entry => (isObject(entry?.design) ? {
+                    ...entry,
+                    design: this.migrateDesign(entry.design, report)
+                } : entry)));
+            }
+
+            const savedDesign = storage.get('savedDesign');
+            if (isObject(savedDesign)) {
+                await storage.set('savedDesign', this.migrateDesign(savedDesign, report));
+            }
+
+            await storage.set('schemaVersion', SCHEMA_VERSION);
+            await storage.set('migrationReport', report);
+            this.logReport(report);
+        }
+
+        this.lastReport = report;
+        return report;
+    }
+
+    /**
+     * Upgrade a whole data export (products, orders, ...) in place
+     * Lists that aren't arrays are left alone (see DataStore.previewImport)
+     * @returns {Object} - Migration report
+     */
+    migrateExport(data) {
+        const report = this.createReport(data.schemaVersion || 1);
+
+        if (Array.isArray(data.products)) {
+            data.products = this.migrateRecords('products', data.products, report.fromVersion, report);
+        }
+        if (Array.isArray(data.orders)) {
+            data.orders = this.migrateRecords('orders', data.orders, report.fromVersion, report);
+        }
+        data.schemaVersion = SCHEMA_VERSION;
+
+        this.logReport(report);
+        return report;
+    }
+
+    /**
+     * Upgrade a single design (saved, imported or shared)
+     * @param {Object} report - Optional report to add changes to
+     * @returns {Object} - Upgraded copy, tagged with the current schemaVersion
+     */
+    migrateDesign(design, report = null) {
+        const fromVersion = design.schemaVersion || 1;
+        const [migrated] = this.migrateRecords('designs', [design], fromVersion, report || this.createReport(fromVersion));
+        migrated.schemaVersion = SCHEMA_VERSION;
+        return migrated;
+    }
+
+    /**
+     * Check that a design from outside (file, link) has the expected shape
+     * Run before migrateDesign - it accepts older schema versions
+     * @param {Object} options - { requireStages } (share links leave out views without objects)
+     * @returns {Array<string>} - Error messages (empty when valid)
+     */
+    validateDesign(data, { requireStages = true } = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['No design found'];
+        }
+
+        const errors = [];
+
+        if (data.schemaVersion !== undefined && !(data.schemaVersion >= 1)) {
+            errors.push(`Invalid schemaVersion "${data.schemaVersion}"`);
+        } else if (data.schemaVersion > SCHEMA_VERSION) {
+            errors.push(`Saved by a newer version of the designer (schema v${data.schemaVersion})`);
+        }
+
+        if (data.productId !== undefined && data.productId !== null && typeof data.productId !== 'string') {
+            errors.push('"productId" must be a string');
+        }
+
+        if (data.order !== undefined && data.order !== null &&
+            (typeof data.order !== 'object' || Array.isArray(data.order))) {
+            errors.push('"order" must be an object');
+        }
+
+        const stages = data.stages;
+        if (!stages || typeof stages !== 'object' || Array.isArray(stages) ||
+            (requireStages && Object.keys(stages).length === 0)) {
+            errors.push('No views ("stages") in the design');
+            return errors;
+        }
+
+        Object.entries(stages).forEach(([id, stage]) => {
+            const label = stage?.label || id;
+            if (!stage || typeof stage !== 'object') {
+                errors.push(`View "${label}" is not an object`);
+                return;
+            }
+            if (stage.designState === undefined || stage.designState === null) return;
+
+            if (!Array.isArray(stage.designState)) {
+                errors.push(`View "${label}": designState must be a list`);
+                return;
+            }
+            stage.designState.forEach((obj, i) => {
+                if (!obj || typeof obj.type !== 'string') {
+                    errors.push(`View "${label}": object ${i + 1} has no type`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Run every step newer than fromVersion over a list of records
+     * @returns {Array} - Upgraded copies (entries that aren't objects as they were)
+     */
+    migrateRecords(type, records, fromVersion, report) {
+        return records.map(original => {
+            if (!isObject(original)) return original;
+
+            const record = JSON.parse(JSON.stringify(original));
+
+            MIGRATIONS
+                .filter(step => step.version > fromVersion && step[type])
+                .forEach(step => {
+                    step[type](record, (message) => {
+                        report.changes.push({
+                            type,
+                            id: record.id || null,
+                            name: record.name || record.orderNumber || record.productName || null,
+                            version: step.version,
+                            message
+                        });
+                    });
+                });
+
+            return record;
+        });
+    }
+
+    createReport(fromVersion) {
+        return {
+            fromVersion,
+            toVersion: SCHEMA_VERSION,
+            migratedAt: Date.now(),
+            changes: []
+        };
+    }
+
+    logReport(report) {
+        if (report.fromVersion >= report.toVersion) return;
+
+        console.group(`Migrated data from schema v${report.fromVersion} to v${report.toVersion}: ${report.changes.length} change(s)`);
+        report.changes.forEach(change => {
+            console.log(`[${change.type}] ${change.name || change.id || '(unnamed)'}: ${change.message}`);
+        });
+        console.groupEnd();
+    }
+}
+
+// Export singleton instance
+export const migrations = new MigrationRunner();
@@ -2,12 +2,16 @@
  * ProductLoader - Loads product configurations from admin data store
  *
  * This connects the frontend designer to products configured in the admin panel.
- * Currently uses localStorage (same as admin), but can be swapped to API calls later.
+ * Reads the shared Storage layer (same as admin), but can be swapped to API calls later.
+ * Catalog data is read-only here: products the admin hasn't upgraded to the current
+ * schema yet are upgraded in memory (see Migrations).
  */
 
+import { storage } from './Storage.js';
+import { migrations, SCHEMA_VERSION } from './Migrations.js';
+
 export class ProductLoader {
     constructor() {
-        this.prefix = 'cpd_'; // Must match admin DataStore prefix
         this.currentProduct = null;
         this.currentViewIndex = 0;
         this.currentColorIndex = 0;
@@ -23,13 +27,11 @@ export class ProductLoader {
      * Get all available products
      */
     getProducts() {
-        const data = localStorage.getItem(this.prefix + 'products');
-        try {
-            return data ? JSON.parse(data) : [];
-        } catch (e) {
-            console.error('Error loading products:', e);
-            return [];
-        }
+        const products = storage.get('products') || [];
+        const version = storage.get('schemaVersion') || 1;
+        if (version >= SCHEMA_VERSION) return products;
+
+        return migrations.migrateRecords('products', products, version, migrations.createReport(version));
     }
 
     /**
@@ -123,14 +125,8 @@ export class ProductLoader {
     processView(view, index, currentColor = null) {
         const printArea = view.printArea || {};
 
-        // Get image from current color's viewImages, fallback to legacy view.image
-        let image = null;
-        if (currentColor && currentColor.viewImages && currentColor.viewImages[view.id]) {
-            image = currentColor.viewImages[view.id];
-        } else if (view.image) {
-            // Legacy support: image stored directly on view
-            image = view.image;
-        }
+        // Image from the current color's viewImages (legacy view.image is migrated on load)
+        const image = currentColor?.viewImages?.[view.id] || null;
 
         return {
             id: view.id,
@@ -397,6 +393,37 @@ export class ProductLoader {
         return { ...this.selectedVAS };
     }
 
+    /**
+     * Get the customer's order choices (for autosave / restore)
+     * @returns {Object} - { colorId, colorSizeQuantities, selectedVAS }
+     */
+    getOrderState() {
+        return {
+            colorId: this.getCurrentColor()?.id || null,
+            colorSizeQuantities: JSON.parse(JSON.stringify(this.colorSizeQuantities)),
+            selectedVAS: JSON.parse(JSON.stringify(this.selectedVAS))
+        };
+    }
+
+    /**
+     * Restore order choices on the current product
+     */
+    restoreOrderState(state = {}) {
+        if (!this.currentProduct) return;
+
+        if (state.colorId) {
+            const index = (this.currentProduct.colors || []).findIndex(c => c.id === state.colorId);
+            if (index !== -1) this.currentColorIndex = index;
+        }
+
+        this.colorSizeQuantities = JSON.parse(JSON.stringify(state.colorSizeQuantities || {}));
+        this.selectedVAS = {
+            foldAndBag: Boolean(state.selectedVAS?.foldAndBag),
+            neckTags: Boolean(state.selectedVAS?.neckTags),
+            neckTagImages: { ...(state.selectedVAS?.neckTagImages || {}) }
+        };
+    }
+
     /**
      * Check if neck tags can be enabled (requires any size with quantity > 0 across all colors)
      */
@@ -433,48 +460,48 @@ export class ProductLoader {
      * Get settings (DPI, units, etc.)
      */
     getSettings() {
-        const data = localStorage.getItem(this.prefix + 'settings');
-        try {
-            return data ? JSON.parse(data) : {
-                defaultDPI: 300,
-                defaultUnit: 'inches',
-                screenDPI: 72
-            };
-        } catch (e) {
-            return { defaultDPI: 300, defaultUnit: 'inches', screenDPI: 72 };
-        }
+        return storage.get('settings') || {
+            defaultDPI: 300,
+            defaultUnit: 'inches',
+            screenDPI: 72
+        };
     }
 
     /**
      * Get cliparts from admin
      */
     getCliparts(category = null) {
-        const data = localStorage.getItem(this.prefix + 'cliparts');
-        try {
-            const cliparts = data ? JSON.parse(data) : [];
-            if (category) {
-                return cliparts.filter(c => c.category === category);
-            }
-            return cliparts;
-        } catch (e) {
-            return [];
+        const cliparts = storage.get('cliparts') || [];
+        if (category) {
+            return cliparts.filter(c => c.category === category);
+        }
+        return cliparts;
+    }
+
+    /**
+     * Get design templates from admin
+     */
+    getTemplates(productId = null) {
+        const templates = storage.get('templates') || [];
+        if (productId) {
+            return templates.filter(t => t.productId === productId);
         }
+        return templates;
+    }
+
+    getTemplate(id) {
+        return this.getTemplates().find(t => t.id === id) || null;
     }
 
     /**
      * Get global pricing rules
      */
     getPricing() {
-        const data = localStorage.getItem(this.prefix + 'pricing');
-        try {
-            return data ? JSON.parse(data) : {
-                additionalView: 0,  // Price for 2nd, 3rd, etc. print locations
-                foldAndBag: 0,      // Per item
-                neckTags: 0         // Per item
-            };
-        } catch (e) {
-            return { additionalView: 0, foldAndBag: 0, neckTags: 0 };
-        }
+        return storage.get('pricing') || {
+            additionalView: 0,  // Price for 2nd, 3rd, etc. print locations
+            foldAndBag: 0,      // Per item
+            neckTags: 0         // Per item
+        };
     }
 
     /**
@@ -0,0 +1,448 @@
+/**
+ * Storage - Shared persistence layer for DataStore (admin) and ProductLoader (designer)
+ *
+ * Data lives in a pluggable backend (see StorageAdapters.js): IndexedDB by default,
+ * localStorage, or a REST server - chosen with window.CPD_CONFIG.storage.
+ * Everything is cached in memory once ready() resolves, so reads stay synchronous;
+ * writes update the cache immediately and return a promise that settles once persisted
+ * (a failed write puts the previous value back).
+ *
+ * When the backend supports it, product images are stored as Blobs apart from the
+ * data. Stored data only holds "idb-image:<id>" references, which get() hands out
+ * as URLs and set() turns back into references - callers keep working with plain
+ * image URLs.
+ *
+ * A shared backend (REST) only loads the shop's data and this user's own data, so
+ * unused images aren't cleaned up from here - other users' data may use them.
+ *
+ * Existing cpd_* localStorage data is migrated into IndexedDB on first run.
+ * Falls back to localStorage when the configured backend is unavailable.
+ */
+
+import { LocalStorageAdapter, IndexedDBAdapter, RestAdapter, MIGRATED_FLAG } from './StorageAdapters.js';
+
+const IMAGE_REF_PREFIX = 'idb-image:';   // Name kept for data saved by earlier versions
+const IMAGE_COLLECTIONS = ['products', 'designs', 'autosave', 'shares', 'history'];  // Collections whose data URL images move to blob storage
+
+export class Storage {
+    /**
+     * @param {Object} config - { adapter: 'indexeddb' | 'localStorage' | 'rest', ...adapter options }
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.prefix = 'cpd_';  // localStorage prefix (migration)
+        this.adapter = null;
+
+        this.cache = new Map();       // key → stored value (images as references)
+        this.persisted = new Map();   // key → value last confirmed by the backend (see write)
+        this.imageUrls = new Map();   // image id → URL
+        this.imageIds = new Map();    // URL → image id
+        this.imageBlobs = new Map();  // image id → Blob (when held locally)
+        this.dataUrlIds = new Map();  // data URL → image id (same upload saved again)
+
+        this.pending = Promise.resolve();  // Serializes background writes
+        this.readyPromise = null;
+    }
+
+    // =========================================================================
+    // Initialization
+    // =========================================================================
+
+    /**
+     * Open the backend, load everything into memory and migrate old data
+     * Must resolve before get/set are used
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.open();
+        }
+        return this.readyPromise;
+    }
+
+    async open() {
+        this.adapter = this.createAdapter(this.config);
+
+        try {
+            await this.adapter.open();
+            await this.loadAll();
+        } catch (error) {
+            if (this.adapter.name === 'localStorage') throw error;
+
+            console.error(`${this.adapter.name} storage unavailable, falling back to localStorage:`, error);
+            this.clearCache();
+            this.adapter = new LocalStorageAdapter({ prefix: this.prefix });
+            await this.adapter.open();
+            await this.loadAll();
+        }
+
+        if (this.adapter.name === 'indexeddb') {
+            await this.migrateFromLocalStorage();
+        }
+
+        if (this.adapter.supportsImages && !this.adapter.shared) {
+            await this.removeUnusedImages().catch(error => {
+                console.warn('Could not clean up unused images:', error);
+            });
+        }
+
+        console.log(`Storage ready (${this.adapter.name})`);
+    }
+
+    /**
+     * Create the configured backend adapter
+     */
+    createAdapter(config) {
+        switch (config.adapter) {
+            case 'localStorage':
+                return new LocalStorageAdapter({ prefix: this.prefix, ...config });
+            case 'rest':
+                return new RestAdapter(config);
+            case 'indexeddb':
+            default:
+                return new IndexedDBAdapter(config);
+        }
+    }
+
+    /**
+     * Load all values and images into memory
+     */
+    async loadAll() {
+        const { values, images } = await this.adapter.loadAll();
+
+        Object.entries(values).forEach(([key, value]) => {
+            this.cache.set(key, value);
+            this.persisted.set(key, value);
+        });
+        Object.entries(images).forEach(([id, image]) => this.registerImage(id, image));
+    }
+
+    clearCache() {
+        this.cache.clear();
+        this.persisted.clear();
+        this.imageUrls.forEach(url => {
+            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+        });
+        this.imageUrls.clear();
+        this.imageIds.clear();
+        this.imageBlobs.clear();
+        this.dataUrlIds.clear();
+    }
+
+    /**
+     * Move cpd_* localStorage data into IndexedDB (once)
+     * Existing IndexedDB data wins; localStorage copies are removed to free quota
+     */
+    async migrateFromLocalStorage() {
+        if (localStorage.getItem(MIGRATED_FLAG)) return;
+
+        const keys = Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix) && key !== MIGRATED_FLAG);
+
+        for (const fullKey of keys) {
+            const key = fullKey.slice(this.prefix.length);
+            if (this.cache.has(key)) continue;
+
+            try {
+                await this.set(key, JSON.parse(localStorage.getItem(fullKey)));
+            } catch (error) {
+                console.error(`Could not migrate ${fullKey}:`, error);
+                return;  // Keep localStorage intact and retry next time
+            }
+        }
+
+        keys.forEach(key => localStorage.removeItem(key));
+        localStorage.setItem(MIGRATED_FLAG, String(Date.now()));
+
+        if (keys.length > 0) {
+            console.log(`Migrated ${keys.length} item(s) from localStorage to IndexedDB`);
+        }
+    }
+
+    // =========================================================================
+    // Core Storage Methods
+    // =========================================================================
+
+    /**
+     * Get a value (images resolved to URLs)
+     * @returns {*} - Copy of the stored value, or null
+     */
+    get(key) {
+        if (!this.cache.has(key)) return null;
+
+        return this.resolveImages(this.cache.get(key));
+    }
+
+    /**
+     * A record of a collection by id - from this client's data, otherwise from the
+     * shared backend (e.g. someone else's share)
+     * @returns {Promise<*>} - Copy of the record (images resolved to URLs), or null
+     */
+    async getRecord(key, id) {
+        const records = this.get(key);
+        const own = Array.isArray(records) ? records.find(record => record?.id === id) : null;
+        if (own) return own;
+
+        if (!this.adapter.loadRecord) return null;
+        return this.resolveImages(await this.adapter.loadRecord(key, id));
+    }
+
+    /**
+     * Copy of a stored value with image references replaced by URLs
+     */
+    resolveImages(value) {
+        return this.mapStrings(value, (str) => {
+            if (!str.startsWith(IMAGE_REF_PREFIX)) return str;
+
+            const id = str.slice(IMAGE_REF_PREFIX.length);
+            if (!this.imageUrls.has(id) && this.adapter.imageUrl) {
+                this.registerImage(id, this.adapter.imageUrl(id));  // Not listed by shared backends
+            }
+            return this.imageUrls.get(id) || '';
+        });
+    }
+
+    /**
+     * Set a value
+     * The cache updates immediately; the returned promise settles once persisted.
+     * If persisting fails, the cache goes back to the previous value.
+     * @returns {Promise}
+     */
+    set(key, value) {
+        const storeImages = this.adapter.supportsImages && IMAGE_COLLECTIONS.includes(key);
+        const newImages = [];
+        const stored = this.mapStrings(value, (str) => {
+            if (!storeImages) return str;
+
+            // Known image URL → back to its reference
+            if (this.imageIds.has(str)) {
+                return IMAGE_REF_PREFIX + this.imageIds.get(str);
+            }
+
+            // Embedded image already stored this session (e.g. autosave) → same blob
+            if (this.imageUrls.has(this.dataUrlIds.get(str))) {
+                return IMAGE_REF_PREFIX + this.dataUrlIds.get(str);
+            }
+
+            // New embedded image → blob storage
+            if (str.startsWith('data:image/')) {
+                const id = this.generateImageId();
+                this.dataUrlIds.set(str, id);
+                const blob = this.dataURLToBlob(str);
+                this.registerImage(id, blob);
+                newImages.push({ id, blob });
+                return IMAGE_REF_PREFIX + id;
+            }
+
+            return str;
+        });
+
+        return this.write(key, stored, previous => this.adapter.save(key, stored, newImages, previous));
+    }
+
+    /**
+     * Remove a value
+     * @returns {Promise}
+     */
+    remove(key) {
+        return this.write(key, undefined, () => this.adapter.remove(key));
+    }
+
+    /**
+     * Update the cache now and persist in the background
+     * On failure the cache goes back to what the backend holds, unless a later
+     * write has replaced the value meanwhile (it rolls back itself if it fails).
+     * @param {*} value - New cached value (undefined removes the key)
+     * @param {Function} persist - Gets the value the backend holds before this write
+     */
+    write(key, value, persist) {
+        this.setCached(this.cache, key, value);
+
+        return this.enqueue(() => persist(this.persisted.get(key))).then(() => {
+            this.setCached(this.persisted, key, value);
+        }, error => {
+            if (this.cache.get(key) === value) {
+                this.setCached(this.cache, key, this.persisted.get(key));
+            }
+            throw error;
+        });
+    }
+
+    setCached(map, key, value) {
+        if (value === undefined) {
+            map.delete(key);
+        } else {
+            map.set(key, value);
+        }
+    }
+
+    /**
+     * Get a portable copy of a value with images embedded as data URLs
+     * (object URLs only work in the current page, backend URLs only online)
+     */
+    async exportValue(key) {
+        return this.embedImages(this.get(key));
+    }
+
+    /**
+     * Copy of any value with stored image URLs replaced by data URLs
+     * (e.g. a design opened from the library, for a downloadable file)
+     */
+    async embedImages(value) {
+        if (!this.adapter.supportsImages || value === null) return value;
+
+        const urls = new Set();
+        this.mapStrings(value, (str) => {
+            if (this.imageIds.has(str)) urls.add(str);
+            return str;
+        });
+
+        const dataUrls = new Map();
+        for (const url of urls) {
+            const blob = this.imageBlobs.get(this.imageIds.get(url))
+                || await fetch(url).then(response => response.blob());
+            dataUrls.set(url, await this.blobToDataURL(blob));
+        }
+
+        return this.mapStrings(value, str => dataUrls.get(str) || str);
+    }
+
+    /**
+     * Wait for all background writes to finish
+     */
+    flush() {
+        return this.pending;
+    }
+
+    /**
+     * Can images be stored apart from the data (no size pressure on data URLs)?
+     */
+    supportsImages() {
+        return Boolean(this.adapter?.supportsImages);
+    }
+
+    /**
+     * Get storage usage information
+     */
+    getUsage() {
+        const usage = { backend: this.adapter?.name, collections: {} };
+        let total = 0;
+
+        this.cache.forEach((value, key) => {
+            const size = JSON.stringify(value).length;
+            usage.collections[key] = (size / 1024).toFixed(2) + ' KB';
+            total += size;
+        });
+
+        if (this.adapter?.supportsImages) {
+            const imageBytes = [...this.imageBlobs.values()].reduce((sum, blob) => sum + blob.size, 0);
+            usage.images = `${this.imageUrls.size} image(s), ${(imageBytes / 1024).toFixed(2)} KB held locally`;
+            total += imageBytes;
+        }
+
+        usage._total = (total / 1024).toFixed(2) + ' KB';
+        usage._limit = this.adapter?.limit;
+        return usage;
+    }
+
+    // =========================================================================
+    // Images
+    // =========================================================================
+
+    /**
+     * @param {Blob|string} image - Blob (served as an object URL) or a backend URL
+     */
+    registerImage(id, image) {
+        let url = image;
+        if (image instanceof Blob) {
+            url = URL.createObjectURL(image);
+            this.imageBlobs.set(id, image);
+        }
+        this.imageUrls.set(id, url);
+        this.imageIds.set(url, id);
+    }
+
+    /**
+     * Delete images no stored value references anymore
+     */
+    async removeUnusedImages() {
+        const used = new Set();
+        this.cache.forEach(value => {
+            this.mapStrings(value, (str) => {
+                if (str.startsWith(IMAGE_REF_PREFIX)) used.add(str.slice(IMAGE_REF_PREFIX.length));
+                return str;
+            });
+        });
+
+        const unused = [...this.imageUrls.keys()].filter(id => !used.has(id));
+        if (unused.length === 0) return;
+
+        await this.adapter.removeImages(unused);
+
+        unused.forEach(id => {
+            const url = this.imageUrls.get(id);
+            if (this.imageBlobs.has(id)) URL.revokeObjectURL(url);
+            this.imageUrls.delete(id);
+            this.imageIds.delete(url);
+            this.imageBlobs.delete(id);
+        });
+
+        console.log(`Removed ${unused.length} unused image(s)`);
+    }
+
+    dataURLToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mime = header.match(/data:([^;]+)/)?.[1] || 'application/octet-stream';
+        const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mime });
+    }
+
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    generateImageId() {
+        return 'img_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    /**
+     * Deep-copy a JSON-compatible value, transforming every string
+     */
+    mapStrings(value, fn) {
+        if (typeof value === 'string') return fn(value);
+        if (Array.isArray(value)) return value.map(item => this.mapStrings(item, fn));
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = this.mapStrings(value[key], fn);
+            });
+            return copy;
+        }
+        return value;
+    }
+
+    /**
+     * Run writes one after another; a failed write doesn't block later ones
+     */
+    enqueue(task) {
+        const run = this.pending.then(task);
+        this.pending = run.catch(() => {});
+        return run;
+    }
+}
+
+// Export singleton instance
+export const storage = new Storage(window.CPD_CONFIG?.storage);
@@ -0,0 +1,351 @@
+/**
+ * StorageAdapters - Persistence backends for Storage
+ *
+ * Storage keeps the in-memory cache and image references; an adapter only moves
+ * data to and from its backend. Every adapter implements the same async contract:
+ *
+ *   name                        'localStorage' | 'indexeddb' | 'rest'
+ *   supportsImages              Images stored separately as Blobs (otherwise kept inline)
+ *   shared                      Other clients use the same backend (their data isn't loaded here)
+ *   limit                       Human-readable capacity, for usage reports
+ *   open()                      Connect; rejects when the backend is unavailable
+ *   loadAll()                   { values: { key: value }, images: { id: Blob | url } }
+ *   save(key, value, images, previous)
+ *                               images: [{ id, blob }] referenced by the new value,
+ *                               previous: value the backend held so far (undefined if none)
+ *   remove(key)
+ *   removeImages(ids)
+ *
+ * Shared backends also implement imageUrl(id) (images not listed in loadAll) and
+ * loadRecord(key, id) (one record of another client, e.g. a share).
+ *
+ * The backend is picked with window.CPD_CONFIG.storage (see Storage.createAdapter).
+ */
+
+export const MIGRATED_FLAG = 'cpd_migratedToIndexedDB';
+
+/**
+ * localStorage - ~5MB, images stay inline as data URLs
+ */
+export class LocalStorageAdapter {
+    constructor({ prefix = 'cpd_' } = {}) {
+        this.name = 'localStorage';
+        this.supportsImages = false;
+        this.shared = false;
+        this.limit = '~5000 KB (5MB)';
+        this.prefix = prefix;
+    }
+
+    async open() {
+        if (!window.localStorage) {
+            throw new Error('localStorage is not available');
+        }
+    }
+
+    async loadAll() {
+        const values = {};
+
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix) && key !== MIGRATED_FLAG)
+            .forEach(fullKey => {
+                try {
+                    values[fullKey.slice(this.prefix.length)] = JSON.parse(localStorage.getItem(fullKey));
+                } catch (e) {
+                    console.error('Error parsing stored data:', fullKey, e);
+                }
+            });
+
+        return { values, images: {} };
+    }
+
+    async save(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    async removeImages() {}
+}
+
+/**
+ * IndexedDB - browser quota, images stored as Blobs
+ */
+export class IndexedDBAdapter {
+    constructor({ dbName = 'cpd' } = {}) {
+        this.name = 'indexeddb';
+        this.supportsImages = true;
+        this.shared = false;
+        this.limit = 'Browser quota (IndexedDB)';
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    open() {
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('data')) {
+                    db.createObjectStore('data');
+                }
+                if (!db.objectStoreNames.contains('images')) {
+                    db.createObjectStore('images');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadAll() {
+        const tx = this.db.transaction(['data', 'images'], 'readonly');
+        const data = tx.objectStore('data');
+        const images = tx.objectStore('images');
+
+        const [keys, values, imageIds, blobs] = await Promise.all([
+            this.request(data.getAllKeys()),
+            this.request(data.getAll()),
+            this.request(images.getAllKeys()),
+            this.request(images.getAll())
+        ]);
+
+        const result = { values: {}, images: {} };
+        keys.forEach((key, i) => { result.values[key] = values[i]; });
+        imageIds.forEach((id, i) => { result.images[id] = blobs[i]; });
+        return result;
+    }
+
+    /**
+     * Value and its new images are written in one transaction
+     */
+    save(key, value, images = []) {
+        const tx = this.db.transaction(['data', 'images'], 'readwrite');
+        images.forEach(({ id, blob }) => tx.objectStore('images').put(blob, id));
+        tx.objectStore('data').put(value, key);
+        return this.transactionDone(tx);
+    }
+
+    remove(key) {
+        const tx = this.db.transaction('data', 'readwrite');
+        tx.objectStore('data').delete(key);
+        return this.transactionDone(tx);
+    }
+
+    removeImages(ids) {
+        const tx = this.db.transaction('images', 'readwrite');
+        ids.forEach(id => tx.objectStore('images').delete(id));
+        return this.transactionDone(tx);
+    }
+
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+/**
+ * HTTP REST - any server implementing the contract below
+ * (server/mock-server.js for offline development, WordPress REST later)
+ *
+ * Customer data (USER_KEYS) lives under the user - userId from the config (e.g. the
+ * WordPress user; letters, digits, _ . -), otherwise an id kept in this browser -
+ * so a visitor only loads their own designs. Lists of records with ids and plain objects are written one
+ * changed record at a time, so clients don't overwrite each other's records.
+ *
+ *   GET    {baseUrl}/health                    → 200 when available
+ *   GET    {baseUrl}/data                      → { key: value, ... } (shop data)
+ *   PUT    {baseUrl}/data/:key                 JSON body (whole value)
+ *   DELETE {baseUrl}/data/:key
+ *   PUT    {baseUrl}/data/:key/:id[?index=n]   JSON body (one list entry or property)
+ *   DELETE {baseUrl}/data/:key/:id
+ *   ...the same under {baseUrl}/users/:user/data for customer data
+ *   GET    {baseUrl}/shared/:key/:id           → a record of any user (shares)
+ *   GET    {baseUrl}/images/:id                → image bytes
+ *   PUT    {baseUrl}/images/:id                image bytes (Content-Type is the image type)
+ *   DELETE {baseUrl}/images/:id
+ */
+const USER_KEYS = ['designs', 'savedDesign', 'autosave', 'history', 'shares'];
+const USER_ID_KEY = 'cpd-user-id';        // localStorage, outside the cpd_ data prefix
+const RECORD_ID_PATTERN = /^(?!\.+$)[\w.-]+$/;  // Ids the server accepts in a path
+
+export class RestAdapter {
+    constructor({ baseUrl = '/api', headers = {}, userId = null } = {}) {
+        this.name = 'rest';
+        this.supportsImages = true;
+        this.shared = true;
+        this.limit = 'Server';
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.headers = headers;  // e.g. { 'X-WP-Nonce': ... }
+        this.userId = userId || this.getBrowserUserId();
+    }
+
+    async open() {
+        await this.send('GET', '/health');
+    }
+
+    async loadAll() {
+        const [shopValues, userValues] = await Promise.all([
+            this.send('GET', '/data').then(res => res.json()),
+            this.send('GET', this.userPath()).then(res => res.json())
+        ]);
+
+        // Images are fetched by URL when a value references them (imageUrl)
+        return { values: { ...shopValues, ...userValues }, images: {} };
+    }
+
+    /**
+     * Images are uploaded first so the value never references a missing image
+     */
+    async save(key, value, images = [], previous = undefined) {
+        for (const { id, blob } of images) {
+            await this.send('PUT', `/images/${encodeURIComponent(id)}`, blob, blob.type || 'application/octet-stream');
+        }
+
+        const changes = this.diffRecords(previous, value);
+        if (!changes) {
+            await this.send('PUT', this.keyPath(key), JSON.stringify(value), 'application/json');
+            return;
+        }
+
+        for (const { id, record, index } of changes) {
+            const path = `${this.keyPath(key)}/${encodeURIComponent(id)}`;
+            if (record === undefined) {
+                await this.send('DELETE', path);
+            } else {
+                const query = index !== undefined ? `?index=${index}` : '';
+                await this.send('PUT', path + query, JSON.stringify(record), 'application/json');
+            }
+        }
+    }
+
+    async remove(key) {
+        await this.send('DELETE', this.keyPath(key));
+    }
+
+    async removeImages(ids) {
+        for (const id of ids) {
+            await this.send('DELETE', `/images/${encodeURIComponent(id)}`);
+        }
+    }
+
+    /**
+     * Another user's record of a public collection (a share link's design)
+     * @returns {Promise<*>} - The record, or null when there's none
+     */
+    async loadRecord(key, id) {
+        try {
+            const res = await this.send('GET', `/shared/${encodeURIComponent(key)}/${encodeURIComponent(id)}`);
+            return await res.json();
+        } catch (error) {
+            console.warn(`Could not load ${key}/${id}:`, error);
+            return null;
+        }
+    }
+
+    imageUrl(id) {
+        return `${this.baseUrl}/images/${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Records that changed between two values: { id, record } (record undefined when
+     * removed; list entries also get their index)
+     * @returns {Array|null} - null when the value has to be written whole (no previous
+     *                         value, not a collection of records, or a list reordered)
+     */
+    diffRecords(previous, value) {
+        if (Array.isArray(previous) && Array.isArray(value)) {
+            if (!this.hasRecordIds(previous) || !this.hasRecordIds(value)) return null;
+
+            const before = new Map(previous.map(record => [String(record.id), record]));
+            const ids = value.map(record => String(record.id));
+            const kept = ids.filter(id => before.has(id));
+            const keptBefore = [...before.keys()].filter(id => ids.includes(id));
+            if (kept.join('\n') !== keptBefore.join('\n')) return null;
+
+            const changes = [...before.keys()]
+                .filter(id => !ids.includes(id))
+                .map(id => ({ id, record: undefined }));
+            value.forEach((record, index) => {
+                const id = ids[index];
+                if (!before.has(id) || JSON.stringify(before.get(id)) !== JSON.stringify(record)) {
+                    changes.push({ id, record, index });
+                }
+            });
+            return changes;
+        }
+
+        if (this.isPlainObject(previous) && this.isPlainObject(value)) {
+            const keys = new Set([...Object.keys(previous), ...Object.keys(value)]);
+            if (![...keys].every(id => RECORD_ID_PATTERN.test(id))) return null;
+
+            return [...keys]
+                .filter(id => JSON.stringify(previous[id]) !== JSON.stringify(value[id]))
+                .map(id => ({ id, record: value[id] }));
+        }
+
+        return null;
+    }
+
+    hasRecordIds(list) {
+        const ids = list.map(record => record?.id);
+        return ids.every(id => (typeof id === 'string' || typeof id === 'number') && RECORD_ID_PATTERN.test(String(id))) &&
+            new Set(ids.map(String)).size === ids.length;
+    }
+
+    isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    keyPath(key) {
+        const base = USER_KEYS.includes(key) ? this.userPath() : '/data';
+        return `${base}/${encodeURIComponent(key)}`;
+    }
+
+    userPath() {
+        return `/users/${encodeURIComponent(this.userId)}/data`;
+    }
+
+    /**
+     * Anonymous visitors keep a random id in this browser
+     */
+    getBrowserUserId() {
+        let id = localStorage.getItem(USER_ID_KEY);
+        if (!id) {
+            id = 'u_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+            localStorage.setItem(USER_ID_KEY, id);
+        }
+        return id;
+    }
+
+    async send(method, path, body = undefined, contentType = null) {
+        const headers = { ...this.headers };
+        if (contentType) headers['Content-Type'] = contentType;
+
+        const response = await fetch(this.baseUrl + path, { method, headers, body });
+        if (!response.ok) {
+            throw new Error(`${method} ${path} failed: ${response.status} ${response.statusText}`);
+        }
+        return response;
+    }
+}
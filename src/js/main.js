@@ -6,11 +6,13 @@
 
 import { Designer } from './core/Designer.js';
 import { EventBus } from './core/EventBus.js';
+import { storage } from './core/Storage.js';
 import { MobileManager } from './modules/MobileManager.js';
+import { parseDeepLink } from './modules/DeepLinkManager.js';
 import { units } from './utils/Units.js';
 
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Create global event bus for module communication
     window.designerEvents = new EventBus();
 
@@ -22,6 +24,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // Make units globally accessible
     window.units = units;
 
+    // Load stored products/settings before anything reads them
+    // (the admin upgrades stored data; ProductLoader reads older products as upgraded copies)
+    await storage.ready();
+
     // Initialize the designer
     // Canvas size: 600x600px = 8.33x8.33 inches at 72 DPI
     const designer = new Designer({
@@ -29,7 +35,8 @@ document.addEventListener('DOMContentLoaded', () => {
         width: 600,   // 8.33 inches at 72 DPI
         height: 600,  // 8.33 inches at 72 DPI
         backgroundColor: '#ffffff',
-        dpi: 72
+        dpi: 72,
+        ...parseDeepLink(location.search)  // ?product=&color=&view=&template=
     });
 
     // Make designer accessible globally for debugging
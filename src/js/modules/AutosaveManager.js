@@ -0,0 +1,156 @@
+/**
+ * AutosaveManager - Crash recovery for in-progress designs
+ * Saves the working session (all stages, color, size quantities and services)
+ * shortly after every change and on a timer; after a reload or crash it offers
+ * to restore it - with its undo history (HistoryStore). Stored under the
+ * 'autosave' key, cleared on an explicit save.
+ */
+
+import { storage } from '../core/Storage.js';
+import { migrations } from '../core/Migrations.js';
+
+// Events that change what would be saved
+const CHANGE_EVENTS = [
+    'history:saved',
+    'history:undo',
+    'history:redo',
+    'designs:cleared',
+    'product:loaded',
+    'color:changed',
+    'size:quantityChanged',
+    'vas:changed',
+    'vas:neckTagChanged'
+];
+
+export class AutosaveManager {
+    constructor(designer) {
+        this.designer = designer;
+        this.events = window.designerEvents;
+
+        this.key = 'autosave';
+        this.delay = 2000;       // After the last change
+        this.interval = 30000;   // Safety net while changes keep coming
+
+        this.enabled = false;    // Armed once startup recovery is settled
+        this.dirty = false;
+        this.saveTimer = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize autosave
+     */
+    init() {
+        CHANGE_EVENTS.forEach(event => {
+            this.events.on(event, () => this.markDirty());
+        });
+
+        // An explicit save supersedes the autosave
+        this.events.on('design:saved', () => this.clear());
+
+        setInterval(() => {
+            if (this.dirty) this.save();
+        }, this.interval);
+
+        // Last chance before the tab goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.dirty) this.save();
+        });
+        window.addEventListener('beforeunload', () => {
+            if (this.dirty) this.save();
+        });
+    }
+
+    /**
+     * Offer to restore the last unsaved session, then start autosaving
+     */
+    async recover() {
+        const saved = storage.get(this.key);
+
+        if (saved?.session) {
+            const when = new Date(saved.savedAt).toLocaleString();
+            const name = saved.session.productName || 'design';
+
+            if (confirm(`Restore your unsaved ${name} from ${when}?`)) {
+                this.designer.restoreDesign(migrations.migrateDesign(saved.session));
+                this.designer.modules.historyStore.restore();
+            } else {
+                await this.clear();
+                await this.designer.modules.historyStore.clearSession();
+            }
+        }
+
+        this.start();
+    }
+
+    /**
+     * Start autosaving without offering a restore (e.g. a shared design was opened)
+     */
+    start() {
+        this.enabled = true;
+        this.designer.modules.historyStore.start();
+    }
+
+    markDirty() {
+        if (!this.enabled) return;
+
+        this.dirty = true;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.delay);
+    }
+
+    /**
+     * Write the current session (an empty one removes the autosave)
+     */
+    async save() {
+        if (!this.enabled) return;
+
+        clearTimeout(this.saveTimer);
+        this.dirty = false;
+
+        const session = this.designer.getDesignData();
+
+        try {
+            if (this.hasContent(session)) {
+                await storage.set(this.key, { savedAt: Date.now(), session });
+            } else if (storage.get(this.key)) {
+                await storage.remove(this.key);
+            }
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+            this.dirty = true;  // Retry on the next tick
+        }
+    }
+
+    /**
+     * Drop the autosave (after an explicit save, or when restore is declined)
+     */
+    async clear() {
+        clearTimeout(this.saveTimer);
+        this.dirty = false;
+
+        if (!storage.get(this.key)) return;
+
+        try {
+            await storage.remove(this.key);
+        } catch (error) {
+            console.warn('Could not clear autosave:', error);
+        }
+    }
+
+    /**
+     * Is there anything worth restoring?
+     */
+    hasContent(session) {
+        const hasDesign = Object.values(session.stages || {})
+            .some(stage => stage.designState?.length > 0);
+
+        const order = session.order || {};
+        const hasQuantities = Object.values(order.colorSizeQuantities || {})
+            .some(sizes => Object.values(sizes).some(qty => qty > 0));
+        const hasServices = Boolean(order.selectedVAS?.foldAndBag || order.selectedVAS?.neckTags);
+
+        return hasDesign || hasQuantities || hasServices;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * DeepLinkManager - URL query parameters for launching the designer preconfigured
+ *
+ *   ?product=<id>&color=<id or name>&view=<id or name>&template=<id>
+ *
+ * Storefront pages link straight into a product, color and view; a template
+ * (admin template with a design in getDesignData format) starts the design.
+ * While the customer works the URL follows product, color and view changes
+ * (history.replaceState), so reloading or bookmarking keeps the selection.
+ */
+
+import { migrations } from '../core/Migrations.js';
+
+/**
+ * Read designer options from a query string (main.js passes them to Designer)
+ * @returns {Object} - { productId, colorId, viewId, templateId } (only those present)
+ */
+export function parseDeepLink(search = location.search) {
+    const params = new URLSearchParams(search);
+    const options = {};
+
+    if (params.get('product')) options.productId = params.get('product');
+    if (params.get('color')) options.colorId = params.get('color');
+    if (params.get('view')) options.viewId = params.get('view');
+    if (params.get('template')) options.templateId = params.get('template');
+
+    return options;
+}
+
+export class DeepLinkManager {
+    constructor(designer) {
+        this.designer = designer;
+        this.events = window.designerEvents;
+
+        this.init();
+    }
+
+    /**
+     * Initialize URL sync
+     */
+    init() {
+        ['product:loaded', 'color:changed', 'stage:switched'].forEach(event => {
+            this.events.on(event, () => this.updateUrl());
+        });
+    }
+
+    /**
+     * Apply the startup options (product, color, view, template)
+     * @returns {boolean} - Whether a product was loaded
+     */
+    open({ productId, colorId, viewId, templateId }) {
+        const productLoader = this.designer.productLoader;
+
+        let template = null;
+        if (templateId) {
+            template = productLoader.getTemplate(templateId);
+            if (!template) console.warn('Template not found:', templateId);
+        }
+
+        const product = productLoader.getProduct(productId || template?.productId);
+        if (!product) {
+            if (productId) console.warn('Product not found:', productId);
+            return false;
+        }
+
+        // Color goes in with the product so views load in it directly
+        const color = colorId ? this.findByIdOrName(product.colors, colorId) : null;
+        if (colorId && !color) console.warn('Color not found:', colorId);
+
+        if (!this.designer.loadProduct(product.id, color ? { colorId: color.id } : null)) {
+            return false;
+        }
+
+        const design = template?.design || template;
+        if (design?.stages) {
+            this.designer.modules.stages.loadStagesData(migrations.migrateDesign(design).stages);
+        }
+
+        if (viewId) {
+            const stages = [...this.designer.modules.stages.stages.values()]
+                .map(stage => ({ id: stage.id, name: stage.label }));
+            const stage = this.findByIdOrName(stages, viewId);
+
+            if (stage) {
+                this.designer.modules.stages.switchStage(stage.id);
+            } else {
+                console.warn('View not found:', viewId);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Reflect the current product, color and view in the URL (without a history entry)
+     * The template is only applied once, so it's dropped
+     */
+    updateUrl() {
+        const product = this.designer.getCurrentProduct();
+        const params = new URLSearchParams(location.search);
+
+        params.delete('template');
+        if (product) {
+            params.set('product', product.id);
+            this.setParam(params, 'color', this.designer.productLoader.getCurrentColor()?.id);
+            this.setParam(params, 'view', this.designer.modules.stages.getCurrentStage());
+        }
+
+        const query = params.toString();
+        const url = location.pathname + (query ? `?${query}` : '') + location.hash;
+        if (url !== location.pathname + location.search + location.hash) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    setParam(params, name, value) {
+        if (value) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    }
+
+    /**
+     * Match by id first, then by name (case-insensitive) - storefronts often only know names
+     */
+    findByIdOrName(items = [], value) {
+        const lower = String(value).toLowerCase();
+        return items.find(item => item.id === value)
+            || items.find(item => item.name?.toLowerCase() === lower)
+            || null;
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * DesignFileImporter - "Open File" for design JSON downloads (Designer.downloadJSON)
+ * Validates the file and restores every stage. When the file's product no longer
+ * exists, the customer picks a product instead and the design's views are
+ * mapped onto that product's views by name, moved into their print areas.
+ */
+
+import { migrations } from '../core/Migrations.js';
+
+export class DesignFileImporter {
+    constructor(designer) {
+        this.designer = designer;
+        this.events = window.designerEvents;
+        this.pending = null;  // { design, fileName } waiting for a product choice
+
+        this.init();
+    }
+
+    /**
+     * Initialize dialog
+     */
+    init() {
+        this.modal = document.getElementById('design-file-modal');
+        this.productSelect = document.getElementById('design-file-product');
+        this.viewsContainer = document.getElementById('design-file-views');
+
+        this.modal?.querySelectorAll('.modal-close').forEach(btn => {
+            btn.addEventListener('click', () => this.closeDialog());
+        });
+
+        this.productSelect?.addEventListener('change', () => {
+            this.renderViewMapping(this.productSelect.value);
+        });
+
+        document.getElementById('design-file-confirm-btn')?.addEventListener('click', () => {
+            this.confirmDialog();
+        });
+    }
+
+    /**
+     * Ask for a file and open it
+     */
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (evt) => this.openText(evt.target.result, file.name);
+            reader.readAsText(file);
+        };
+        input.click();
+    }
+
+    /**
+     * Validate file contents and restore, asking for a product if needed
+     */
+    openText(text, fileName = 'design.json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            alert(`"${fileName}" is not a valid JSON file.`);
+            return;
+        }
+
+        const errors = migrations.validateDesign(data);
+        if (errors.length > 0) {
+            console.warn('Invalid design file:', errors);
+            alert(`"${fileName}" is not a valid design file:\n\n- ${errors.join('\n- ')}`);
+            return;
+        }
+
+        const design = migrations.migrateDesign(data);
+
+        // Made without a product (default views), or its product is still there
+        if (!design.productId || this.designer.productLoader.getProduct(design.productId)) {
+            if (this.confirmReplace(fileName)) {
+                this.restore(design, fileName);
+            }
+            return;
+        }
+
+        if (this.designer.productLoader.getProducts().length === 0) {
+            alert('There are no products to open this design on.');
+            return;
+        }
+
+        this.pending = { design, fileName };
+        this.showDialog();
+    }
+
+    // =========================================================================
+    // Product choice
+    // =========================================================================
+
+    showDialog() {
+        const { design, fileName } = this.pending;
+        const products = this.getProductChoices(design);
+
+        const name = design.productName ? `"${design.productName}"` : 'its product';
+        document.getElementById('design-file-message').textContent =
+            `${fileName} was made for ${name}, which is not available. ` +
+            'Choose a product to open it on. Color, sizes and services are not carried over.';
+
+        this.productSelect.innerHTML = '';
+        products.forEach(({ product, matches }) => {
+            const option = document.createElement('option');
+            option.value = product.id;
+            option.textContent = matches > 0
+                ? `${product.name} (${matches} matching view${matches === 1 ? '' : 's'})`
+                : product.name;
+            this.productSelect.appendChild(option);
+        });
+
+        this.renderViewMapping(this.productSelect.value);
+        this.modal.classList.add('open');
+    }
+
+    closeDialog() {
+        this.modal?.classList.remove('open');
+        this.pending = null;
+    }
+
+    /**
+     * Products sorted by how many of the design's views they have (by name)
+     */
+    getProductChoices(design) {
+        const labels = this.getDesignStages(design).map(stage => stage.label.toLowerCase());
+
+        return this.designer.productLoader.getProducts()
+            .map(product => ({
+                product,
+                matches: (product.views || []).filter(view => labels.includes(view.name?.toLowerCase())).length
+            }))
+            .sort((a, b) => b.matches - a.matches);
+    }
+
+    /**
+     * Design views that hold objects (nothing to map otherwise)
+     */
+    getDesignStages(design) {
+        return Object.entries(design.stages)
+            .filter(([, stage]) => stage.designState?.length > 0)
+            .map(([id, stage]) => ({ id, label: String(stage.label || id) }));
+    }
+
+    /**
+     * One row per design view: target view select, preselected by name
+     */
+    renderViewMapping(productId) {
+        const product = this.designer.productLoader.getProduct(productId);
+        const views = product?.views || [];
+        const stages = this.getDesignStages(this.pending.design);
+
+        this.viewsContainer.innerHTML = '';
+
+        if (stages.length === 0) {
+            this.viewsContainer.textContent = 'The design has no objects.';
+            return;
+        }
+
+        stages.forEach(stage => {
+            const row = document.createElement('div');
+            row.className = 'view-map-row';
+            row.innerHTML = '<span></span><i class="fas fa-arrow-right"></i><select></select>';
+            row.querySelector('span').textContent = stage.label;
+
+            const select = row.querySelector('select');
+            select.dataset.stageId = stage.id;
+            select.add(new Option('— Leave out —', ''));
+            views.forEach(view => select.add(new Option(view.name || view.id, view.id)));
+
+            const match = views.find(view => view.name?.toLowerCase() === stage.label.toLowerCase());
+            select.value = match?.id || '';
+
+            this.viewsContainer.appendChild(row);
+        });
+    }
+
+    async confirmDialog() {
+        if (!this.pending) return;
+
+        const product = this.designer.productLoader.getProduct(this.productSelect.value);
+        if (!product) return;
+
+        // design view id → product view id
+        const mapping = {};
+        this.viewsContainer.querySelectorAll('select').forEach(select => {
+            if (select.value) mapping[select.dataset.stageId] = select.value;
+        });
+
+        const targets = Object.values(mapping);
+        if (new Set(targets).size !== targets.length) {
+            alert('Each product view can only take one design view.');
+            return;
+        }
+
+        const { design, fileName } = this.pending;
+        if (!this.confirmReplace(fileName)) return;
+
+        this.closeDialog();
+        this.restore(await this.remapDesign(design, product, mapping), fileName);
+    }
+
+    /**
+     * Move stages onto another product's views
+     */
+    async remapDesign(design, product, mapping) {
+        const productLoader = this.designer.productLoader;
+        const color = product.colors?.[0] || null;  // What loadProduct shows without order choices
+        const stages = {};
+
+        for (const [fromId, toId] of Object.entries(mapping)) {
+            const index = product.views.findIndex(v => v.id === toId);
+            const view = productLoader.processView(product.views[index], index, color);
+            const stage = design.stages[fromId];
+
+            stages[toId] = {
+                ...stage,
+                label: view.name,
+                viewData: null,
+                designState: await this.fitToPrintArea(stage, view),
+                thumbnail: null
+            };
+        }
+
+        return {
+            ...design,
+            productId: product.id,
+            productName: product.name,
+            order: null,  // Colors, sizes and neck tags belong to the original product
+            stages
+        };
+    }
+
+    /**
+     * Move a stage's objects from its own print area into a view's print area
+     * Keeps their physical size (inches) unless that doesn't fit, then scales down.
+     * Objects stay where they are when a print area can't be measured.
+     */
+    async fitToPrintArea(stage, view) {
+        const objects = stage.designState || [];
+        if (!stage.viewData?.printArea) return objects;
+
+        let from, to;
+        try {
+            [from, to] = await Promise.all([
+                this.designer.canvas.getViewPrintAreaBounds(stage.viewData),
+                this.designer.canvas.getViewPrintAreaBounds(view)
+            ]);
+        } catch (error) {
+            console.warn('Could not measure print areas, objects keep their position:', error);
+            return objects;
+        }
+
+        const fit = Math.min(1, to.widthInches / from.widthInches, to.heightInches / from.heightInches);
+        const scale = (to.width / to.widthInches) / (from.width / from.widthInches) * fit;
+
+        const fromX = from.left + from.width / 2;
+        const fromY = from.top + from.height / 2;
+        const toX = to.left + to.width / 2;
+        const toY = to.top + to.height / 2;
+
+        return objects.map(obj => ({
+            ...obj,
+            left: toX + ((obj.left || 0) - fromX) * scale,
+            top: toY + ((obj.top || 0) - fromY) * scale,
+            scaleX: (obj.scaleX ?? 1) * scale,
+            scaleY: (obj.scaleY ?? 1) * scale
+        }));
+    }
+
+    // =========================================================================
+    // Restore
+    // =========================================================================
+
+    confirmReplace(fileName) {
+        return !this.designer.modules.stages.hasDesignContent() ||
+            confirm(`Open "${fileName}"? Unsaved changes on the canvas will be lost.`);
+    }
+
+    restore(design, fileName) {
+        this.designer.restoreDesign(design);
+        this.events.emit('design:fileOpened', { fileName, productId: design.productId });
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * DesignLibrary - "My Designs" sidebar tab
+ * Named saves with thumbnails, timestamps and product association;
+ * open, duplicate, rename and delete. Stored under the 'designs' key.
+ */
+
+import { storage } from '../core/Storage.js';
+import { migrations } from '../core/Migrations.js';
+
+export class DesignLibrary {
+    constructor(designer) {
+        this.designer = designer;
+        this.events = window.designerEvents;
+        this.currentId = null;  // Library entry the canvas was opened from / last saved to
+
+        this.init();
+    }
+
+    /**
+     * Initialize library
+     */
+    init() {
+        this.list = document.getElementById('designs-list');
+
+        this.importLegacySave();
+
+        document.getElementById('save-design-btn')?.addEventListener('click', () => {
+            this.saveCurrent();
+        });
+
+        document.getElementById('save-design-as-btn')?.addEventListener('click', () => {
+            this.saveCurrent({ asNew: true });
+        });
+
+        document.getElementById('open-design-file-btn')?.addEventListener('click', () => {
+            this.designer.openDesignFile();
+        });
+
+        // Event delegation for design cards
+        this.list?.addEventListener('click', (e) => {
+            const card = e.target.closest('.design-card');
+            if (!card) return;
+
+            const action = e.target.closest('[data-design-action]')?.dataset.designAction || 'open';
+            this.handleAction(action, card.dataset.designId);
+        });
+
+        this.events.on('sidebar:tabChanged', (tabId) => {
+            if (tabId === 'designs') this.render();
+        });
+
+        this.render();
+    }
+
+    /**
+     * The old single save slot becomes the first library entry
+     */
+    importLegacySave() {
+        const legacy = storage.get('savedDesign');
+        if (!legacy) return;
+
+        const designs = this.getDesigns();
+        designs.push(this.createEntry('Saved design', migrations.migrateDesign(legacy), legacy.timestamp));
+
+        storage.set('designs', designs)
+            .then(() => storage.remove('savedDesign'))
+            .catch(error => console.error('Could not move saved design into the library:', error));
+    }
+
+    // =========================================================================
+    // Data
+    // =========================================================================
+
+    /**
+     * Get all saved designs, newest first
+     */
+    getDesigns() {
+        return (storage.get('designs') || [])
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    getDesign(id) {
+        return this.getDesigns().find(d => d.id === id) || null;
+    }
+
+    createEntry(name, design, timestamp = Date.now()) {
+        return {
+            id: this.generateId(),
+            name,
+            productId: design.productId || null,
+            productName: design.productName || null,
+            thumbnail: this.pickThumbnail(design),
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            design
+        };
+    }
+
+    /**
+     * First designed view's thumbnail (falls back to the first view)
+     */
+    pickThumbnail(design) {
+        const stages = Object.values(design.stages || {});
+        const designed = stages.find(stage => stage.thumbnail && stage.designState?.length > 0);
+        return designed?.thumbnail || stages.find(stage => stage.thumbnail)?.thumbnail || null;
+    }
+
+    /**
+     * Save the canvas to the library
+     * Updates the entry it was opened from, unless asNew (or it's not in the library)
+     * @returns {Promise<Object|null>} - Saved entry, or null if cancelled/failed
+     */
+    async saveCurrent({ asNew = false } = {}) {
+        const design = this.designer.getDesignData();
+        const designs = this.getDesigns();
+        const existing = !asNew && designs.find(d => d.id === this.currentId);
+
+        let entry;
+        if (existing) {
+            Object.assign(existing, {
+                productId: design.productId || null,
+                productName: design.productName || null,
+                thumbnail: this.pickThumbnail(design),
+                updatedAt: Date.now(),
+                design
+            });
+            entry = existing;
+        } else {
+            const defaultName = `${design.productName || 'Design'} ${new Date().toLocaleDateString()}`;
+            const name = prompt('Name this design:', defaultName);
+            if (name === null) return null;
+
+            entry = this.createEntry(name.trim() || defaultName, design);
+            designs.push(entry);
+        }
+
+        if (!await this.persist(designs)) return null;
+
+        this.currentId = entry.id;
+        this.render();
+        this.events.emit('design:saved', design);
+        return entry;
+    }
+
+    /**
+     * Open a saved design on the canvas
+     */
+    open(id) {
+        const entry = this.getDesign(id);
+        if (!entry) return;
+
+        if (this.designer.modules.stages.hasDesignContent() &&
+            !confirm(`Open "${entry.name}"? Unsaved changes on the canvas will be lost.`)) {
+            return;
+        }
+
+        this.designer.restoreDesign(migrations.migrateDesign(entry.design));
+        this.designer.modules.historyStore.restore(id);
+        this.currentId = id;
+        this.render();
+    }
+
+    async duplicate(id) {
+        const entry = this.getDesign(id);
+        if (!entry) return;
+
+        const designs = this.getDesigns();
+        const now = Date.now();
+        designs.push({
+            ...JSON.parse(JSON.stringify(entry)),
+            id: this.generateId(),
+            name: `${entry.name} (copy)`,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        if (await this.persist(designs)) this.render();
+    }
+
+    async rename(id) {
+        const designs = this.getDesigns();
+        const entry = designs.find(d => d.id === id);
+        if (!entry) return;
+
+        const name = prompt('Rename design:', entry.name);
+        if (!name || !name.trim() || name.trim() === entry.name) return;
+
+        entry.name = name.trim();
+        entry.updatedAt = Date.now();
+        if (await this.persist(designs)) this.render();
+    }
+
+    async remove(id) {
+        const entry = this.getDesign(id);
+        if (!entry || !confirm(`Delete "${entry.name}"? This cannot be undone.`)) return;
+
+        if (await this.persist(this.getDesigns().filter(d => d.id !== id))) {
+            if (this.currentId === id) this.currentId = null;
+            this.render();
+        }
+    }
+
+    async persist(designs) {
+        try {
+            await storage.set('designs', designs);
+            return true;
+        } catch (error) {
+            console.error('Failed to save designs:', error);
+            alert('Failed to save design. Storage may be full.');
+            return false;
+        }
+    }
+
+    handleAction(action, id) {
+        switch (action) {
+            case 'open':
+                this.open(id);
+                break;
+            case 'duplicate':
+                this.duplicate(id);
+                break;
+            case 'rename':
+                this.rename(id);
+                break;
+            case 'delete':
+                this.remove(id);
+                break;
+        }
+    }
+
+    // =========================================================================
+    // UI
+    // =========================================================================
+
+    render() {
+        if (!this.list) return;
+
+        const designs = this.getDesigns();
+
+        if (designs.length === 0) {
+            this.list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-folder-open"></i>
+                    <p>No saved designs yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.list.innerHTML = '';
+        designs.forEach(entry => {
+            const card = document.createElement('div');
+            card.className = 'design-card' + (entry.id === this.currentId ? ' current' : '');
+            card.dataset.designId = entry.id;
+            card.title = 'Open design';
+            card.innerHTML = `
+                <div class="design-thumb">
+                    ${entry.thumbnail ? '<img alt="">' : '<i class="fas fa-tshirt"></i>'}
+                </div>
+                <div class="design-info">
+                    <div class="design-name"></div>
+                    <div class="design-meta"></div>
+                </div>
+                <div class="design-actions">
+                    <button class="btn-icon small" data-design-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                    <button class="btn-icon small" data-design-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+                    <button class="btn-icon small" data-design-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+
+            // User-entered text goes in via textContent
+            if (entry.thumbnail) card.querySelector('img').src = entry.thumbnail;
+            card.querySelector('.design-name').textContent = entry.name;
+            card.querySelector('.design-meta').textContent =
+                `${entry.productName || 'No product'} · ${new Date(entry.updatedAt).toLocaleString()}`;
+
+            this.list.appendChild(card);
+        });
+    }
+
+    generateId() {
+        return 'design_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+}
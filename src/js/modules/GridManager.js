@@ -0,0 +1,221 @@
+/**
+ * GridManager - Physical-unit grid overlay inside the print area
+ * Grid lines are painted after each render of the visible canvas only, so they
+ * never become canvas objects and are excluded from toJSON, history and exports.
+ * Snapping a move goes through the smart guides first (see GuidesManager).
+ */
+
+import { Units } from '../utils/Units.js';
+import { productLoader } from '../core/ProductLoader.js';
+
+export class GridManager {
+    constructor(canvas, guides = null) {
+        this.canvas = canvas;  // CanvasManager
+        this.guides = guides;  // GuidesManager
+        this.fabricCanvas = canvas.fabricCanvas;
+        this.events = window.designerEvents;
+
+        const defaultUnit = productLoader.getSettings().defaultUnit;
+
+        this.visible = false;
+        this.snapEnabled = false;
+        this.unit = defaultUnit === 'cm' ? 'cm' : 'inches';
+        this.spacing = this.unit === 'cm' ? 1 : 0.5;  // In this.unit
+        this.lineColor = 'rgba(63, 199, 186, 0.35)';
+
+        this.init();
+    }
+
+    /**
+     * Initialize grid manager
+     */
+    init() {
+        this.gridTools = document.querySelector('.grid-tools');
+
+        // Toggle from toolbar
+        this.events.on('canvas:toggleGrid', (visible) => {
+            this.setVisible(typeof visible === 'boolean' ? visible : !this.visible);
+        });
+
+        // Paint grid on the visible canvas only (toDataURL renders use their own context)
+        this.fabricCanvas.on('after:render', (e) => {
+            if (this.visible && e.ctx === this.fabricCanvas.contextContainer) {
+                this.drawGrid(e.ctx);
+            }
+        });
+
+        // Guides win on an axis they snapped, the grid takes the rest
+        this.fabricCanvas.on('object:moving', (e) => {
+            if (!e.target) return;
+
+            const guided = this.guides?.snapObject(e.target) || { x: false, y: false };
+            if (this.isSnapping() && !(guided.x && guided.y)) {
+                this.snapPosition(e.target, { x: !guided.x, y: !guided.y });
+            }
+        });
+
+        this.fabricCanvas.on('object:scaling', (e) => {
+            if (this.isSnapping() && e.target) {
+                this.snapSize(e.target, e.transform);
+            }
+        });
+
+        this.setupInputs();
+    }
+
+    /**
+     * Set up grid setting inputs in the toolbar
+     */
+    setupInputs() {
+        const spacingInput = document.getElementById('grid-spacing');
+        const unitSelect = document.getElementById('grid-unit');
+        const snapCheckbox = document.getElementById('grid-snap');
+
+        if (spacingInput) {
+            spacingInput.value = this.spacing;
+            spacingInput.addEventListener('change', (e) => {
+                this.setSpacing(parseFloat(e.target.value), this.unit);
+            });
+        }
+
+        if (unitSelect) {
+            unitSelect.value = this.unit;
+            unitSelect.addEventListener('change', (e) => {
+                this.setSpacing(this.spacing, e.target.value);
+            });
+        }
+
+        snapCheckbox?.addEventListener('change', (e) => {
+            this.snapEnabled = e.target.checked;
+        });
+    }
+
+    /**
+     * Show or hide the grid
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.gridTools) {
+            this.gridTools.style.display = visible ? 'flex' : 'none';
+        }
+        this.fabricCanvas.requestRenderAll();
+        this.events.emit('grid:toggled', visible);
+    }
+
+    /**
+     * Set grid spacing
+     * @param {number} spacing - Spacing value
+     * @param {string} unit - 'inches' or 'cm'
+     */
+    setSpacing(spacing, unit = this.unit) {
+        if (!spacing || spacing <= 0) return;
+        this.spacing = spacing;
+        this.unit = unit === 'cm' ? 'cm' : 'inches';
+        this.fabricCanvas.requestRenderAll();
+    }
+
+    /**
+     * Snapping only applies while the grid is shown
+     */
+    isSnapping() {
+        return this.visible && this.snapEnabled && !!this.canvas.getPrintAreaBounds();
+    }
+
+    /**
+     * Get grid step in canvas pixels, calibrated to the print area's physical size
+     */
+    getStepPx() {
+        const units = new Units(this.canvas.printAreaDPI || 72);
+        return this.unit === 'cm' ? units.cmToPx(this.spacing) : units.inchesToPx(this.spacing);
+    }
+
+    /**
+     * Draw grid lines clipped to the print area
+     */
+    drawGrid(ctx) {
+        const bounds = this.canvas.getPrintAreaBounds();
+        const step = this.getStepPx();
+        if (!bounds || step < 2) return;
+
+        const vpt = this.fabricCanvas.viewportTransform;
+        const zoom = this.fabricCanvas.getZoom();
+        const right = bounds.left + bounds.width;
+        const bottom = bounds.top + bounds.height;
+
+        ctx.save();
+        ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+        ctx.strokeStyle = this.lineColor;
+        ctx.lineWidth = 1 / zoom;
+        ctx.beginPath();
+
+        // Zero-based at the print area origin
+        for (let x = bounds.left + step; x < right; x += step) {
+            ctx.moveTo(x, bounds.top);
+            ctx.lineTo(x, bottom);
+        }
+        for (let y = bounds.top + step; y < bottom; y += step) {
+            ctx.moveTo(bounds.left, y);
+            ctx.lineTo(right, y);
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Round a canvas coordinate to the nearest grid line
+     */
+    snapValue(value, origin, step) {
+        return origin + Math.round((value - origin) / step) * step;
+    }
+
+    /**
+     * Snap object's top-left bounding corner to the grid while moving
+     * @param {Object} [axes] - { x, y }: which axes to snap (default both)
+     */
+    snapPosition(target, axes = { x: true, y: true }) {
+        const bounds = this.canvas.getPrintAreaBounds();
+        const step = this.getStepPx();
+
+        target.setCoords();
+        const rect = target.getBoundingRect(true, true);
+
+        if (axes.x) {
+            target.set('left', target.left + this.snapValue(rect.left, bounds.left, step) - rect.left);
+        }
+        if (axes.y) {
+            target.set('top', target.top + this.snapValue(rect.top, bounds.top, step) - rect.top);
+        }
+        target.setCoords();
+    }
+
+    /**
+     * Snap scaled size to whole grid steps while resizing
+     * Keeps the anchor corner fixed, like Fabric's own scaling
+     */
+    snapSize(target, transform) {
+        const step = this.getStepPx();
+        const corner = transform?.corner || '';
+        const scalesX = corner !== 'mt' && corner !== 'mb';
+        const scalesY = corner !== 'ml' && corner !== 'mr';
+        const uniform = scalesX && scalesY && !transform?.e?.shiftKey;
+
+        const originX = transform?.originX || target.originX;
+        const originY = transform?.originY || target.originY;
+        const anchor = target.translateToOriginPoint(target.getCenterPoint(), originX, originY);
+
+        const snappedWidth = Math.max(step, Math.round(target.getScaledWidth() / step) * step);
+        const snappedHeight = Math.max(step, Math.round(target.getScaledHeight() / step) * step);
+
+        if (uniform) {
+            const ratio = snappedWidth / target.getScaledWidth();
+            target.set({ scaleX: target.scaleX * ratio, scaleY: target.scaleY * ratio });
+        } else {
+            if (scalesX) target.set('scaleX', target.scaleX * (snappedWidth / target.getScaledWidth()));
+            if (scalesY) target.set('scaleY', target.scaleY * (snappedHeight / target.getScaledHeight()));
+        }
+
+        target.setPositionByOrigin(anchor, originX, originY);
+        target.setCoords();
+    }
+}
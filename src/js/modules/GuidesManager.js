@@ -0,0 +1,198 @@
+/**
+ * GuidesManager - Smart guides and snapping while moving objects
+ * Snaps to the print area edges/center and to other design objects' edges/centers.
+ * Moves are snapped by GridManager, which asks the guides first: they win on an
+ * axis within their threshold, the grid takes the other axes.
+ * Guide lines are drawn on Fabric's top context, so they never become canvas
+ * objects and are excluded from toJSON, history and every export.
+ */
+
+export class GuidesManager {
+    constructor(canvas) {
+        this.canvas = canvas;  // CanvasManager
+        this.fabricCanvas = canvas.fabricCanvas;
+        this.events = window.designerEvents;
+
+        this.enabled = true;
+        this.snapThreshold = 6;         // Screen pixels
+        this.printAreaColor = '#3fc7ba';
+        this.objectColor = '#ff4081';
+
+        this.activeGuides = [];         // [{ orientation: 'v'|'h', position, color }]
+
+        this.init();
+    }
+
+    /**
+     * Initialize guides manager
+     */
+    init() {
+        // Toggle from toolbar
+        this.events.on('canvas:toggleGuides', (enabled) => {
+            this.setEnabled(typeof enabled === 'boolean' ? enabled : !this.enabled);
+        });
+
+        // Clear guide overlay before each render so old lines don't linger
+        this.fabricCanvas.on('before:render', () => {
+            if (this.activeGuides.length > 0 || this._hasDrawn) {
+                this.fabricCanvas.clearContext(this.fabricCanvas.contextTop);
+                this._hasDrawn = false;
+            }
+        });
+
+        this.fabricCanvas.on('after:render', () => {
+            this.drawGuides();
+        });
+
+        // Hide guides once the drag ends
+        this.fabricCanvas.on('mouse:up', () => {
+            if (this.activeGuides.length > 0) {
+                this.activeGuides = [];
+                this.fabricCanvas.requestRenderAll();
+            }
+        });
+    }
+
+    /**
+     * Enable or disable smart guides
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.activeGuides = [];
+            this.fabricCanvas.requestRenderAll();
+        }
+        this.events.emit('guides:toggled', enabled);
+    }
+
+    /**
+     * Collect candidate snap lines (canvas coordinates)
+     * @param {fabric.Object} target - Object being moved (excluded)
+     * @returns {{ vertical: Array, horizontal: Array }}
+     */
+    getSnapLines(target) {
+        const vertical = [];
+        const horizontal = [];
+
+        // Print area edges and center
+        const bounds = this.canvas.getPrintAreaBounds();
+        if (bounds) {
+            [bounds.left, bounds.left + bounds.width / 2, bounds.left + bounds.width].forEach(x => {
+                vertical.push({ position: x, color: this.printAreaColor });
+            });
+            [bounds.top, bounds.top + bounds.height / 2, bounds.top + bounds.height].forEach(y => {
+                horizontal.push({ position: y, color: this.printAreaColor });
+            });
+        }
+
+        // Other design objects (skip the moving object and members of a moving selection)
+        const excluded = target.type === 'activeSelection' ? target.getObjects() : [target];
+        this.canvas.getDesignObjects().forEach(obj => {
+            if (excluded.includes(obj) || obj.visible === false) return;
+
+            const rect = obj.getBoundingRect(true, true);
+            [rect.left, rect.left + rect.width / 2, rect.left + rect.width].forEach(x => {
+                vertical.push({ position: x, color: this.objectColor });
+            });
+            [rect.top, rect.top + rect.height / 2, rect.top + rect.height].forEach(y => {
+                horizontal.push({ position: y, color: this.objectColor });
+            });
+        });
+
+        return { vertical, horizontal };
+    }
+
+    /**
+     * Find the closest snap line for a set of object edges
+     * @returns {{ delta: number, line: Object }|null}
+     */
+    findSnap(edges, lines, threshold) {
+        let best = null;
+        edges.forEach(edge => {
+            lines.forEach(line => {
+                const delta = line.position - edge;
+                if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                    best = { delta, line };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Snap the moving object and record which guides to show
+     * @returns {{ x: boolean, y: boolean }} - Axes that snapped to a guide
+     */
+    snapObject(target) {
+        this.activeGuides = [];
+        if (!this.enabled) return { x: false, y: false };
+
+        const zoom = this.fabricCanvas.getZoom();
+        const threshold = this.snapThreshold / zoom;
+        const lines = this.getSnapLines(target);
+
+        target.setCoords();
+        const rect = target.getBoundingRect(true, true);
+
+        const snapX = this.findSnap(
+            [rect.left, rect.left + rect.width / 2, rect.left + rect.width],
+            lines.vertical,
+            threshold
+        );
+        const snapY = this.findSnap(
+            [rect.top, rect.top + rect.height / 2, rect.top + rect.height],
+            lines.horizontal,
+            threshold
+        );
+
+        if (snapX) {
+            target.set('left', target.left + snapX.delta);
+            this.activeGuides.push({ orientation: 'v', position: snapX.line.position, color: snapX.line.color });
+        }
+
+        if (snapY) {
+            target.set('top', target.top + snapY.delta);
+            this.activeGuides.push({ orientation: 'h', position: snapY.line.position, color: snapY.line.color });
+        }
+
+        if (snapX || snapY) {
+            target.setCoords();
+        }
+
+        return { x: !!snapX, y: !!snapY };
+    }
+
+    /**
+     * Draw active guide lines on the top (interaction) context
+     */
+    drawGuides() {
+        if (this.activeGuides.length === 0) return;
+
+        const ctx = this.fabricCanvas.contextTop;
+        const vpt = this.fabricCanvas.viewportTransform;
+        const zoom = this.fabricCanvas.getZoom();
+        const width = this.canvas.options.width;
+        const height = this.canvas.options.height;
+
+        ctx.save();
+        ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+        ctx.lineWidth = 1 / zoom;
+        ctx.setLineDash([4 / zoom, 4 / zoom]);
+
+        this.activeGuides.forEach(guide => {
+            ctx.strokeStyle = guide.color;
+            ctx.beginPath();
+            if (guide.orientation === 'v') {
+                ctx.moveTo(guide.position, 0);
+                ctx.lineTo(guide.position, height);
+            } else {
+                ctx.moveTo(0, guide.position);
+                ctx.lineTo(width, guide.position);
+            }
+            ctx.stroke();
+        });
+
+        ctx.restore();
+        this._hasDrawn = true;
+    }
+}
@@ -1,18 +1,54 @@
 /**
  * HistoryManager - Undo/Redo functionality
- * Manages canvas state history for undoing and redoing changes
+ * Records object-level changes instead of canvas snapshots: every 'history:save'
+ * diffs the design objects against the last known state and stores only the objects
+ * that were added, removed or modified (plus stacking order). Undo/redo only touch
+ * design objects, so the product image and print area stay in place.
+ *
+ * Each stage (view) has its own undo stack: switching views swaps stacks, so undo
+ * never brings back another view's objects.
+ *
+ * Entries carry a label ("Move text", "Change color") for the history panel,
+ * which can jump to any entry (undoing or redoing everything in between).
+ *
+ * Large embedded images (data URLs) are stored once in an asset pool and referenced
+ * from history entries, so moving a photo around doesn't copy its pixels.
+ *
+ * exportState/importState turn all stacks into plain data, for HistoryStore to
+ * keep the history across reloads.
  */
 
+// Serialized with each object (same as StageManager's design state)
+const OBJECT_PROPERTIES = [
+    'id', 'name', 'selectable', 'evented', 'lockMovementX', 'lockMovementY',
+    'lockRotation', 'lockScalingX', 'lockScalingY', 'hasControls',
+    '_originalSrc', '_originalWidth', '_originalHeight', 'isClipart'
+];
+
+const ASSET_MIN_LENGTH = 1024;        // Shorter data URLs stay inline
+export const ASSET_PREFIX = 'history-asset:';
+
 export class HistoryManager {
     constructor(canvas) {
         this.canvas = canvas;
         this.events = window.designerEvents;
 
-        this.history = [];
-        this.historyIndex = -1;
-        this.maxHistory = 50;
+        this.history = [];          // Entries: { label, changes: [{ id, before, after }], orderBefore, orderAfter }
+        this.historyIndex = -1;     // Last applied entry
+        this.maxHistory = 100;
         this.isRestoring = false;
 
+        this.stageId = null;        // Stage the current stack belongs to
+        this.stageReady = true;     // False while a switch is putting another stage on the canvas
+        this.stacks = new Map();    // Stage id → { history, historyIndex, objectIds } of other stages
+
+        this.states = new Map();    // Object id → serialized state, as of the last save
+        this.order = [];            // Object ids, bottom to top
+        this.assets = new Map();    // Asset id → data URL
+        this.assetIds = new Map();  // Data URL → asset id
+        this.nextId = 1;
+        this.nextAssetId = 1;
+
         this.init();
     }
 
@@ -21,13 +57,34 @@ export class HistoryManager {
      */
     init() {
         // Listen for save events
-        this.events.on('history:save', () => {
-            this.save();
+        this.events.on('history:save', (data) => {
+            this.save(data?.label);
+        });
+
+        // Leaving a stage: keep its stack until it's shown again
+        this.events.on('stage:switched', (stageId) => {
+            if (this.stageId && this.stageReady) {
+                this.stashStack(this.stageId);
+            }
+            this.stageId = stageId;
+            this.stageReady = false;
+        });
+
+        // A stage's design is on the canvas (switch, restore) - not an undoable change
+        this.events.on('stage:loaded', (stageId) => {
+            this.stageId = stageId;
+            this.restoreStack(stageId);
+            this.stageReady = true;
+        });
+
+        // New product: its views start with empty stacks
+        this.events.on('stages:loaded', () => {
+            this.stacks.clear();
         });
 
-        // Save initial state
+        // Take the initial state (unless a restored history is already in place)
         setTimeout(() => {
-            this.save();
+            if (this.history.length === 0) this.clear();
         }, 100);
 
         // Update button states
@@ -35,78 +92,108 @@ export class HistoryManager {
     }
 
     /**
-     * Save current canvas state to history
+     * Record what changed since the last save
+     * @param {string} label - What the user did, shown in the history panel
      */
-    save() {
-        if (this.isRestoring) return;
+    save(label = 'Edit') {
+        if (this.isRestoring || !this.stageReady) return;
 
-        const state = JSON.stringify(this.canvas.toJSON());
+        const { states, order } = this.capture();
 
-        // If we're not at the end of history, remove future states
-        if (this.historyIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyIndex + 1);
-        }
+        const changes = [];
+        new Set([...this.states.keys(), ...states.keys()]).forEach(id => {
+            const before = this.states.get(id) || null;
+            const after = states.get(id) || null;
+            if (before !== after) {
+                changes.push({ id, before, after });
+            }
+        });
 
-        // Don't save if state hasn't changed
-        if (this.history.length > 0 && this.history[this.historyIndex] === state) {
+        const orderChanged = order.join() !== this.order.join();
+
+        // Don't save if nothing changed
+        if (changes.length === 0 && !orderChanged) {
             return;
         }
 
-        // Add new state
-        this.history.push(state);
+        // If we're not at the end of history, remove future entries
+        if (this.historyIndex < this.history.length - 1) {
+            this.history = this.history.slice(0, this.historyIndex + 1);
+        }
+
+        this.history.push({ label, changes, orderBefore: this.order, orderAfter: order });
+        this.states = states;
+        this.order = order;
 
         // Limit history size
         if (this.history.length > this.maxHistory) {
             this.history.shift();
+            this.pruneAssets();
         } else {
             this.historyIndex++;
         }
 
         this.updateButtonStates();
-        this.events.emit('history:saved', { index: this.historyIndex, total: this.history.length });
+        this.events.emit('history:saved', { index: this.historyIndex, total: this.history.length, label });
+        this.events.emit('history:changed', this.getInfo());
     }
 
     /**
      * Undo last action
      */
-    undo() {
-        if (!this.canUndo()) return;
+    async undo() {
+        if (!this.canUndo() || this.isRestoring || !this.stageReady) return;
 
-        this.isRestoring = true;
+        const entry = this.history[this.historyIndex];
         this.historyIndex--;
 
-        const state = JSON.parse(this.history[this.historyIndex]);
-        this.canvas.loadFromJSON(state).then(() => {
-            this.isRestoring = false;
-            this.updateButtonStates();
-            this.events.emit('history:undo', { index: this.historyIndex });
-            this.events.emit('layers:update');
-        });
+        await this.apply(entry, 'before', entry.orderBefore);
+        this.events.emit('history:undo', { index: this.historyIndex, label: entry.label });
+        this.events.emit('history:changed', this.getInfo());
+        this.events.emit('layers:update');
     }
 
     /**
      * Redo last undone action
      */
-    redo() {
-        if (!this.canRedo()) return;
+    async redo() {
+        if (!this.canRedo() || this.isRestoring || !this.stageReady) return;
 
-        this.isRestoring = true;
         this.historyIndex++;
+        const entry = this.history[this.historyIndex];
 
-        const state = JSON.parse(this.history[this.historyIndex]);
-        this.canvas.loadFromJSON(state).then(() => {
-            this.isRestoring = false;
-            this.updateButtonStates();
-            this.events.emit('history:redo', { index: this.historyIndex });
-            this.events.emit('layers:update');
-        });
+        await this.apply(entry, 'after', entry.orderAfter);
+        this.events.emit('history:redo', { index: this.historyIndex, label: entry.label });
+        this.events.emit('history:changed', this.getInfo());
+        this.events.emit('layers:update');
+    }
+
+    /**
+     * Go to an entry, undoing or redoing every entry in between
+     * @param {number} index - Entry index, -1 for the state before the first entry
+     */
+    async jumpTo(index) {
+        if (this.isRestoring || !this.stageReady) return;
+        if (index < -1 || index >= this.history.length) return;
+
+        while (this.historyIndex > index) {
+            const before = this.historyIndex;
+            await this.undo();
+            if (this.historyIndex === before) return;
+        }
+
+        while (this.historyIndex < index) {
+            const before = this.historyIndex;
+            await this.redo();
+            if (this.historyIndex === before) return;
+        }
     }
 
     /**
      * Check if undo is available
      */
     canUndo() {
-        return this.historyIndex > 0;
+        return this.historyIndex >= 0;
     }
 
     /**
@@ -133,12 +220,111 @@ export class HistoryManager {
     }
 
     /**
-     * Clear history
+     * Clear the current stage's history - the canvas becomes the starting point
      */
     clear() {
         this.history = [];
         this.historyIndex = -1;
-        this.save();
+
+        const { states, order } = this.capture();
+        this.states = states;
+        this.order = order;
+
+        this.pruneAssets();
+        this.updateButtonStates();
+        this.events.emit('history:changed', this.getInfo());
+    }
+
+    // =========================================================================
+    // Stage Stacks
+    // =========================================================================
+
+    /**
+     * Set the current stack aside (the canvas still shows that stage)
+     */
+    stashStack(stageId) {
+        this.stacks.set(stageId, {
+            history: this.history,
+            historyIndex: this.historyIndex,
+            objectIds: [...this.order],
+            stateHash: this.hashState(this.states, this.order)
+        });
+    }
+
+    /**
+     * Every stage's stack as plain data (entries are shared, arrays are copies)
+     * @returns {Object} - { nextId, stacks: { stageId: { history, historyIndex, objectIds, stateHash } }, assets }
+     */
+    exportState() {
+        const stacks = {};
+        this.stacks.forEach((stack, stageId) => {
+            stacks[stageId] = { ...stack, history: [...stack.history], objectIds: [...stack.objectIds] };
+        });
+
+        // Mid-switch the current stack was already stashed
+        if (this.stageId && this.stageReady) {
+            stacks[this.stageId] = {
+                history: [...this.history],
+                historyIndex: this.historyIndex,
+                objectIds: [...this.order],
+                stateHash: this.hashState(this.states, this.order)
+            };
+        }
+
+        return {
+            nextId: this.nextId,
+            stacks,
+            assets: Object.fromEntries(this.assets)
+        };
+    }
+
+    /**
+     * Replace all stacks with exported ones (a design was just restored)
+     * Each stage picks its stack up once its objects are on the canvas
+     */
+    importState(state) {
+        this.stacks = new Map(Object.entries(state.stacks || {}));
+        this.nextId = Math.max(this.nextId, state.nextId || 1);
+
+        this.assets = new Map(Object.entries(state.assets || {}));
+        this.assetIds = new Map([...this.assets].map(([id, url]) => [url, id]));
+        this.nextAssetId = 1 + Math.max(0, ...[...this.assets.keys()].map(id => parseInt(id.slice(ASSET_PREFIX.length)) || 0));
+
+        // Already loaded (objects enliven synchronously without images)
+        if (this.stageId && this.stageReady) {
+            this.restoreStack(this.stageId);
+        }
+    }
+
+    /**
+     * Continue a stage's stack on its freshly loaded objects
+     * Objects keep their history ids in the stage's design state; the stack only
+     * fits when the same objects are back in the same state (the design and its
+     * history are saved separately, so a reload can bring back mismatched ones)
+     */
+    restoreStack(stageId) {
+        const stack = this.stacks.get(stageId);
+        this.stacks.delete(stageId);
+
+        const objectIds = this.canvas.getDesignObjects().map(obj => obj.historyId);
+        if (!stack || objectIds.join() !== stack.objectIds.join()) {
+            this.clear();
+            return;
+        }
+
+        const { states, order } = this.capture();
+        if (this.hashState(states, order) !== stack.stateHash) {
+            this.clear();
+            return;
+        }
+
+        this.history = stack.history;
+        this.historyIndex = stack.historyIndex;
+        this.states = states;
+        this.order = order;
+
+        this.updateButtonStates();
+        this.events.emit('history:changed', this.getInfo());
     }
 
     /**
@@ -152,4 +338,217 @@ export class HistoryManager {
             canRedo: this.canRedo()
         };
     }
+
+    /**
+     * Entry labels for the history panel (oldest first)
+     * @returns {Array<Object>} - [{ index, label, undone }]
+     */
+    getEntries() {
+        return this.history.map((entry, index) => ({
+            index,
+            label: entry.label,
+            undone: index > this.historyIndex
+        }));
+    }
+
+    // =========================================================================
+    // Object State
+    // =========================================================================
+
+    /**
+     * Serialize every design object (assigning history ids to new ones)
+     */
+    capture() {
+        const states = new Map();
+        const order = [];
+        const objects = this.canvas.getDesignObjects();
+
+        // Loaded objects keep their ids - new ones must not take them
+        objects.forEach(obj => {
+            const n = parseInt(obj.historyId?.slice(1));
+            if (n >= this.nextId) this.nextId = n + 1;
+        });
+
+        objects.forEach(obj => {
+            // Clones can carry their source's id
+            if (!obj.historyId || states.has(obj.historyId)) {
+                obj.historyId = 'h' + this.nextId++;
+            }
+            states.set(obj.historyId, this.serialize(obj));
+            order.push(obj.historyId);
+        });
+
+        return { states, order };
+    }
+
+    /**
+     * Short fingerprint of a captured state (FNV-1a)
+     */
+    hashState(states, order) {
+        const text = order.map(id => `${id}:${states.get(id)}`).join('\n');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    serialize(obj) {
+        const data = this.canvas.serializeObject(obj, OBJECT_PROPERTIES);
+        delete data.clipPath;  // Print area clip is re-applied on restore
+        return JSON.stringify(this.mapStrings(data, str => this.storeAsset(str)));
+    }
+
+    /**
+     * Bring design objects to the given side of an entry
+     * @param {string} side - 'before' (undo) or 'after' (redo)
+     */
+    async apply(entry, side, order) {
+        this.isRestoring = true;
+        const fabricCanvas = this.canvas.fabricCanvas;
+
+        // Selections hold group-relative coordinates
+        fabricCanvas.discardActiveObject();
+
+        try {
+            for (const change of entry.changes) {
+                const current = this.findObject(change.id);
+                const target = change[side];
+
+                if (!target) {
+                    if (current) fabricCanvas.remove(current);
+                    continue;
+                }
+
+                const obj = await this.createObject(target);
+                obj.historyId = change.id;
+                this.canvas.applyClipPathToObject(obj);
+
+                if (current) {
+                    const index = fabricCanvas.getObjects().indexOf(current);
+                    fabricCanvas.remove(current);
+                    fabricCanvas.insertAt(obj, index);
+                } else {
+                    fabricCanvas.add(obj);
+                }
+            }
+
+            this.restoreOrder(order);
+            fabricCanvas.requestRenderAll();
+
+            // The restored side is the new reference state
+            entry.changes.forEach(change => {
+                if (change[side]) {
+                    this.states.set(change.id, change[side]);
+                } else {
+                    this.states.delete(change.id);
+                }
+            });
+            this.order = order;
+        } catch (error) {
+            console.error('Could not restore history state:', error);
+            this.states = this.capture().states;
+        } finally {
+            this.isRestoring = false;
+            this.updateButtonStates();
+        }
+    }
+
+    /**
+     * Re-stack design objects within the slots they occupy
+     */
+    restoreOrder(order) {
+        const fabricCanvas = this.canvas.fabricCanvas;
+        const objects = fabricCanvas.getObjects();
+        const slots = this.canvas.getDesignObjects().map(obj => objects.indexOf(obj));
+
+        order
+            .map(id => this.findObject(id))
+            .filter(Boolean)
+            .forEach((obj, i) => fabricCanvas.moveTo(obj, slots[i]));
+    }
+
+    createObject(state) {
+        const data = this.mapStrings(JSON.parse(state), str => this.resolveAsset(str));
+        return new Promise((resolve, reject) => {
+            fabric.util.enlivenObjects([data], ([obj]) => {
+                if (obj) {
+                    resolve(obj);
+                } else {
+                    reject(new Error(`Could not restore ${data.type} object`));
+                }
+            });
+        });
+    }
+
+    findObject(id) {
+        return this.canvas.getDesignObjects().find(obj => obj.historyId === id) || null;
+    }
+
+    // =========================================================================
+    // Assets (embedded images stored once)
+    // =========================================================================
+
+    storeAsset(str) {
+        // Restored assets can be stored image URLs (see importState)
+        if (this.assetIds.has(str)) return this.assetIds.get(str);
+        if (str.length < ASSET_MIN_LENGTH || !str.startsWith('data:')) return str;
+
+        const id = ASSET_PREFIX + this.nextAssetId++;
+        this.assets.set(id, str);
+        this.assetIds.set(str, id);
+        return id;
+    }
+
+    resolveAsset(str) {
+        return str.startsWith(ASSET_PREFIX) ? (this.assets.get(str) || '') : str;
+    }
+
+    /**
+     * Drop assets no entry (or the current state) refers to anymore
+     */
+    pruneAssets() {
+        const used = new Set();
+        const collect = (state) => {
+            if (!state) return;
+            state.match(new RegExp(`${ASSET_PREFIX}\\d+`, 'g'))?.forEach(id => used.add(id));
+        };
+
+        const collectEntries = (history) => history.forEach(entry => entry.changes.forEach(change => {
+            collect(change.before);
+            collect(change.after);
+        }));
+
+        this.states.forEach(collect);
+        collectEntries(this.history);
+        this.stacks.forEach(stack => collectEntries(stack.history));
+
+        this.assets.forEach((dataUrl, id) => {
+            if (!used.has(id)) {
+                this.assets.delete(id);
+                this.assetIds.delete(dataUrl);
+            }
+        });
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    /**
+     * Deep-copy a JSON-compatible value, transforming every string
+     */
+    mapStrings(value, fn) {
+        if (typeof value === 'string') return fn(value);
+        if (Array.isArray(value)) return value.map(item => this.mapStrings(item, fn));
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => {
+                copy[key] = this.mapStrings(value[key], fn);
+            });
+            return copy;
+        }
+        return value;
+    }
 }
@@ -0,0 +1,79 @@
+/**
+ * HistoryPanel - "History" tab
+ * Lists the current view's history entries (oldest first) and jumps to the
+ * state after any of them. Entries after the current one are undone and shown
+ * greyed out until a new change replaces them.
+ */
+
+export class HistoryPanel {
+    constructor(history) {
+        this.history = history;
+        this.events = window.designerEvents;
+
+        this.init();
+    }
+
+    /**
+     * Initialize history panel
+     */
+    init() {
+        this.list = document.getElementById('history-list');
+        if (!this.list) return;
+
+        this.events.on('history:changed', () => {
+            this.render();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (!item || item.classList.contains('current')) return;
+
+            this.history.jumpTo(parseInt(item.dataset.index));
+        });
+
+        this.render();
+    }
+
+    /**
+     * Render history list
+     */
+    render() {
+        if (!this.list) return;
+
+        const entries = this.history.getEntries();
+        const current = this.history.getInfo().current;
+
+        this.list.innerHTML = '';
+
+        if (entries.length === 0) {
+            this.list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-history"></i>
+                    <p>No changes yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.list.appendChild(this.createItem(-1, 'Start', current === -1, false));
+        entries.forEach(entry => {
+            this.list.appendChild(this.createItem(entry.index, entry.label, entry.index === current, entry.undone));
+        });
+
+        this.list.querySelector('.history-item.current')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    createItem(index, label, isCurrent, isUndone) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.classList.toggle('current', isCurrent);
+        item.classList.toggle('undone', isUndone);
+        item.dataset.index = index;
+        item.title = isCurrent ? 'Current state' : 'Go back to this step';
+
+        item.innerHTML = `<i class="fas fa-${index === -1 ? 'flag' : 'circle'}"></i><span></span>`;
+        item.querySelector('span').textContent = label;
+
+        return item;
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * HistoryStore - Undo history that survives a reload
+ * The working session's history is saved next to the autosave (AutosaveManager)
+ * and restored with it. Saving to My Designs keeps a copy under the library
+ * entry's id, restored when that design is opened again.
+ *
+ * Stored under the 'history' key, one record per design, each trimmed to maxSize
+ * (undone steps go first, then the oldest ones). Images are history assets that
+ * Storage keeps as blobs, so an image is stored once however many steps use it.
+ */
+
+import { storage } from '../core/Storage.js';
+import { ASSET_PREFIX } from './HistoryManager.js';
+
+export class HistoryStore {
+    constructor(designer) {
+        this.designer = designer;
+        this.events = window.designerEvents;
+
+        this.key = 'history';
+        this.sessionId = 'session';       // Record of the unsaved working session
+        this.delay = 2000;                // After the last change
+        this.maxSize = 2 * 1024 * 1024;   // Characters of JSON per design
+
+        this.enabled = false;    // Armed once startup recovery is settled
+        this.dirty = false;
+        this.saveTimer = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize history persistence
+     */
+    init() {
+        this.events.on('history:changed', () => this.markDirty());
+
+        // The saved design gets the history that led to it; the session starts over
+        this.events.on('design:saved', () => this.saveToLibrary());
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.dirty) this.save();
+        });
+        window.addEventListener('beforeunload', () => {
+            if (this.dirty) this.save();
+        });
+    }
+
+    /**
+     * Start saving the session history (see AutosaveManager.start)
+     */
+    start() {
+        this.enabled = true;
+    }
+
+    markDirty() {
+        if (!this.enabled) return;
+
+        this.dirty = true;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.delay);
+    }
+
+    /**
+     * Put a design's stored history back (call right after restoring the design)
+     * @param {string} id - Library entry id, or sessionId for the autosave
+     * @returns {boolean} - Whether a history was found
+     */
+    restore(id = this.sessionId) {
+        const record = storage.get(this.key)?.[id];
+        if (!record?.state) return false;
+
+        this.designer.modules.history.importState(record.state);
+        return true;
+    }
+
+    /**
+     * Write the session history
+     */
+    async save() {
+        if (!this.enabled) return;
+
+        clearTimeout(this.saveTimer);
+        this.dirty = false;
+
+        await this.write({ [this.sessionId]: this.createRecord() });
+    }
+
+    async saveToLibrary() {
+        const id = this.designer.modules.library.currentId;
+        if (!id) return;
+
+        clearTimeout(this.saveTimer);
+        this.dirty = false;
+
+        await this.write({ [id]: this.createRecord(), [this.sessionId]: null });
+    }
+
+    /**
+     * Drop the session history (autosave declined)
+     */
+    async clearSession() {
+        clearTimeout(this.saveTimer);
+        this.dirty = false;
+
+        if (storage.get(this.key)?.[this.sessionId]) {
+            await this.write({ [this.sessionId]: null });
+        }
+    }
+
+    /**
+     * Update records (null removes one); records of deleted library designs are dropped
+     */
+    async write(changes) {
+        const designIds = new Set(this.designer.modules.library.getDesigns().map(design => design.id));
+        const records = {};
+
+        Object.entries({ ...storage.get(this.key), ...changes }).forEach(([id, record]) => {
+            if (record && (id === this.sessionId || designIds.has(id))) {
+                records[id] = record;
+            }
+        });
+
+        try {
+            if (Object.keys(records).length > 0) {
+                await storage.set(this.key, records);
+            } else if (storage.get(this.key)) {
+                await storage.remove(this.key);
+            }
+        } catch (error) {
+            console.warn('Could not save undo history:', error);
+        }
+    }
+
+    createRecord() {
+        const state = this.designer.modules.history.exportState();
+        const hasSteps = Object.values(state.stacks).some(stack => stack.history.length > 0);
+        if (!hasSteps) return null;
+
+        this.trim(state);
+        return { savedAt: Date.now(), state };
+    }
+
+    // =========================================================================
+    // Size limit
+    // =========================================================================
+
+    /**
+     * Drop steps until the state fits maxSize
+     * Undone (redo) steps go first, newest first - they matter least after a reload.
+     * Then the oldest applied steps, from the longest stack.
+     */
+    trim(state) {
+        const stacks = Object.values(state.stacks);
+        const assetPattern = new RegExp(`${ASSET_PREFIX}\\d+`, 'g');
+
+        // Blob-backed assets don't count against the data size
+        const countAssets = !storage.supportsImages();
+        const assetSize = (id) => countAssets ? (state.assets[id]?.length || 0) : 0;
+
+        // Size and asset references of every step
+        const steps = new Map();
+        const assetUses = new Map();
+        let size = 0;
+
+        stacks.forEach(stack => stack.history.forEach(entry => {
+            const json = JSON.stringify(entry);
+            const assets = new Set(json.match(assetPattern) || []);
+            assets.forEach(id => assetUses.set(id, (assetUses.get(id) || 0) + 1));
+            steps.set(entry, { size: json.length, assets });
+            size += json.length;
+        }));
+
+        Object.keys(state.assets).forEach(id => {
+            if (assetUses.has(id)) {
+                size += assetSize(id);
+            } else {
+                delete state.assets[id];
+            }
+        });
+
+        while (size > this.maxSize) {
+            const withRedo = stacks.find(s => s.history.length - 1 > s.historyIndex);
+            const longest = stacks.reduce((a, b) => (b.history.length > a.history.length ? b : a));
+
+            let entry;
+            if (withRedo) {
+                entry = withRedo.history.pop();
+            } else if (longest.history.length > 0) {
+                entry = longest.history.shift();
+                longest.historyIndex--;
+            } else {
+                break;
+            }
+
+            const step = steps.get(entry);
+            size -= step.size;
+            step.assets.forEach(id => {
+                assetUses.set(id, assetUses.get(id) - 1);
+                if (assetUses.get(id) === 0) {
+                    size -= assetSize(id);
+                    delete state.assets[id];
+                }
+            });
+        }
+    }
+}
@@ -166,7 +166,7 @@ export class LayerManager {
             case 'delete':
                 this.canvas.fabricCanvas.remove(obj);
                 this.canvas.render();
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: 'Delete layer' });
                 break;
         }
     }
@@ -180,7 +180,7 @@ export class LayerManager {
             obj.bringForward();
             this.canvas.render();
             this.render();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Move layer up' });
         }
     }
 
@@ -193,7 +193,7 @@ export class LayerManager {
             obj.sendBackwards();
             this.canvas.render();
             this.render();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Move layer down' });
         }
     }
 
@@ -280,7 +280,7 @@ export class LayerManager {
 
         this.canvas.render();
         this.render();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Reorder layers' });
     }
 
     /**
@@ -291,6 +291,7 @@ export class LayerManager {
             'i-text': 'Text',
             'text': 'Text',
             'textbox': 'Textbox',
+            'curved-text': 'Curved Text',
             'image': 'Image',
             'rect': 'Rectangle',
             'circle': 'Circle',
@@ -311,6 +312,7 @@ export class LayerManager {
             'i-text': 'fas fa-font',
             'text': 'fas fa-font',
             'textbox': 'fas fa-font',
+            'curved-text': 'fas fa-circle-notch',
             'image': 'fas fa-image',
             'rect': 'far fa-square',
             'circle': 'far fa-circle',
@@ -330,7 +332,7 @@ export class LayerManager {
         if (obj.name) return obj.name;
 
         // For text, use the text content
-        if (obj.type === 'i-text' || obj.type === 'text' || obj.type === 'textbox') {
+        if (obj.type === 'i-text' || obj.type === 'text' || obj.type === 'textbox' || obj.type === 'curved-text') {
             const text = obj.text || '';
             return text.substring(0, 20) + (text.length > 20 ? '...' : '');
         }
@@ -0,0 +1,214 @@
+/**
+ * ProductionSheet - Multi-page PDF for production
+ * Page 1 (and overflow pages): order summary - product, color/size quantities,
+ * selected services and neck tag artwork. Then one page per designed view,
+ * sized to the physical print area with the artwork at 300 DPI.
+ * Everything is generated in the browser; no network access is needed.
+ */
+
+import { PdfWriter } from '../utils/PdfWriter.js';
+import { productLoader } from '../core/ProductLoader.js';
+
+const PAGE_WIDTH = 612;   // US Letter in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 48;
+const POINTS_PER_INCH = 72;
+
+export class ProductionSheet {
+    constructor(canvasManager, stageManager) {
+        this.canvas = canvasManager;
+        this.stages = stageManager;
+        this.targetDPI = 300;
+    }
+
+    /**
+     * Generate the production sheet
+     * @returns {Promise<Blob>} - PDF file
+     */
+    async generate() {
+        const pdf = new PdfWriter();
+        const views = this.stages.getStagesForExport().filter(stage => stage.objects.length > 0);
+
+        // Render artwork first so the summary can list real print sizes
+        const renders = [];
+        for (const stage of views) {
+            const render = await this.canvas.renderViewPrintArea(stage.view, stage.objects, this.targetDPI, {
+                transparent: false,
+                format: 'jpeg',
+                quality: 0.92
+            });
+            renders.push({ stage, render });
+        }
+
+        await this.addSummaryPages(pdf, renders);
+
+        renders.forEach(({ render }) => {
+            const { widthInches, heightInches } = render.bounds;
+            const width = widthInches * POINTS_PER_INCH;
+            const height = heightInches * POINTS_PER_INCH;
+
+            const page = pdf.addPage(width, height);
+            const image = pdf.addJpeg(render.dataUrl, render.width, render.height);
+            pdf.drawImage(page, image, 0, 0, width, height);
+        });
+
+        return pdf.toBlob();
+    }
+
+    /**
+     * Add the order summary page(s)
+     */
+    async addSummaryPages(pdf, renders) {
+        const product = productLoader.currentProduct;
+        const orderLines = productLoader.getFullOrderDetails();
+        const selectedVAS = productLoader.getSelectedVAS();
+
+        let page = pdf.addPage(PAGE_WIDTH, PAGE_HEIGHT);
+        let y = MARGIN;
+
+        // Start a new page when the next block doesn't fit
+        const ensureSpace = (needed) => {
+            if (y + needed > PAGE_HEIGHT - MARGIN) {
+                page = pdf.addPage(PAGE_WIDTH, PAGE_HEIGHT);
+                y = MARGIN;
+            }
+        };
+
+        const heading = (text) => {
+            ensureSpace(40);
+            y += 28;
+            pdf.text(page, text, MARGIN, y, { size: 13, bold: true });
+            y += 6;
+            pdf.line(page, MARGIN, y, PAGE_WIDTH - MARGIN, y);
+            y += 4;
+        };
+
+        const row = (columns, options = {}) => {
+            ensureSpace(18);
+            y += 16;
+            columns.forEach(({ text, x }) => pdf.text(page, text, x, y, { size: 10, ...options }));
+        };
+
+        // Title
+        y += 20;
+        pdf.text(page, 'Production Sheet', MARGIN, y, { size: 20, bold: true });
+        y += 18;
+        pdf.text(page, `Generated ${new Date().toLocaleString()}`, MARGIN, y, { size: 9, color: [0.4, 0.4, 0.4] });
+
+        // Product
+        heading('Product');
+        row([{ text: 'Name', x: MARGIN }, { text: product?.name || 'Custom design', x: MARGIN + 120 }]);
+        if (product?.sku) {
+            row([{ text: 'SKU', x: MARGIN }, { text: product.sku, x: MARGIN + 120 }]);
+        }
+
+        // Print views
+        heading('Print Views');
+        if (renders.length === 0) {
+            row([{ text: 'No designed views', x: MARGIN }]);
+        }
+        renders.forEach(({ stage, render }) => {
+            const { widthInches, heightInches } = render.bounds;
+            row([
+                { text: stage.label, x: MARGIN },
+                { text: `${widthInches}" × ${heightInches}" at ${this.targetDPI} DPI`, x: MARGIN + 120 }
+            ]);
+        });
+
+        // Quantities
+        heading('Quantities');
+        row([
+            { text: 'Color', x: MARGIN + 18 },
+            { text: 'Size', x: MARGIN + 200 },
+            { text: 'Qty', x: MARGIN + 320 }
+        ], { bold: true });
+
+        orderLines.forEach(line => {
+            row([
+                { text: line.colorName, x: MARGIN + 18 },
+                { text: line.sizeName, x: MARGIN + 200 },
+                { text: String(line.quantity), x: MARGIN + 320 }
+            ]);
+            pdf.fillRect(page, MARGIN, y - 9, 10, 10, this.hexToRgb(line.colorCode));
+        });
+
+        const totalQty = orderLines.reduce((sum, line) => sum + line.quantity, 0);
+        row([{ text: 'Total', x: MARGIN + 18 }, { text: String(totalQty), x: MARGIN + 320 }], { bold: true });
+
+        // Value added services
+        heading('Services');
+        row([{ text: 'Fold & Bag', x: MARGIN }, { text: selectedVAS.foldAndBag ? 'Yes' : 'No', x: MARGIN + 120 }]);
+        row([{ text: 'Neck Tags', x: MARGIN }, { text: selectedVAS.neckTags ? 'Yes' : 'No', x: MARGIN + 120 }]);
+
+        // Neck tag artwork per size
+        const neckTags = selectedVAS.neckTags
+            ? Object.entries(selectedVAS.neckTagImages || {}).filter(([, src]) => src)
+            : [];
+
+        if (neckTags.length > 0) {
+            heading('Neck Tags');
+            const sizes = productLoader.getSizes();
+            const tileSize = 96;
+            const gap = 18;
+            let x = MARGIN;
+
+            ensureSpace(tileSize + 30);
+            y += 12;
+
+            for (const [sizeId, src] of neckTags) {
+                if (x + tileSize > PAGE_WIDTH - MARGIN) {
+                    x = MARGIN;
+                    y += tileSize + 30;
+                    ensureSpace(tileSize + 30);
+                }
+
+                const tag = await this.toJpeg(src);
+                if (tag) {
+                    // Fit inside the tile, keeping aspect ratio
+                    const scale = Math.min(tileSize / tag.width, tileSize / tag.height);
+                    const name = pdf.addJpeg(tag.dataUrl, tag.width, tag.height);
+                    pdf.drawImage(page, name, x, y, tag.width * scale, tag.height * scale);
+                }
+
+                const size = sizes.find(s => s.id === sizeId);
+                pdf.text(page, size?.name || sizeId, x, y + tileSize + 14, { size: 10 });
+                x += tileSize + gap;
+            }
+        }
+    }
+
+    /**
+     * Convert any image source to a JPEG on white (PDF embeds JPEG directly)
+     * @returns {Promise<Object|null>} - { dataUrl, width, height }
+     */
+    toJpeg(src) {
+        return new Promise((resolve) => {
+            fabric.util.loadImage(src, (img) => {
+                if (!img) {
+                    resolve(null);
+                    return;
+                }
+
+                const el = fabric.util.createCanvasElement();
+                el.width = img.naturalWidth || img.width;
+                el.height = img.naturalHeight || img.height;
+
+                const ctx = el.getContext('2d');
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, el.width, el.height);
+                ctx.drawImage(img, 0, 0);
+
+                resolve({ dataUrl: el.toDataURL('image/jpeg', 0.92), width: el.width, height: el.height });
+            }, null, 'anonymous');
+        });
+    }
+
+    /**
+     * Convert '#rrggbb' to PDF color components (0-1)
+     */
+    hexToRgb(hex = '#000000') {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+        if (!match) return [0, 0, 0];
+        return match.slice(1).map(value => parseInt(value, 16) / 255);
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * RulerManager - Horizontal and vertical rulers around the design canvas
+ * Calibrated from the print area's pixels-per-inch, zero-based at the print area
+ * origin, and redrawn on zoom. Highlights the extent of the selection (all of
+ * it when several objects are selected).
+ */
+
+import { productLoader } from '../core/ProductLoader.js';
+
+export class RulerManager {
+    constructor(canvas) {
+        this.canvas = canvas;  // CanvasManager
+        this.fabricCanvas = canvas.fabricCanvas;
+        this.events = window.designerEvents;
+
+        this.size = 20;  // Ruler thickness in CSS pixels
+        this.colors = {
+            background: '#f3f5f5',
+            printArea: '#ffffff',
+            tick: '#999999',
+            label: '#666666',
+            selection: 'rgba(63, 199, 186, 0.35)'
+        };
+
+        this.renderFrame = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize rulers
+     */
+    init() {
+        this.horizontal = document.getElementById('ruler-horizontal');
+        this.vertical = document.getElementById('ruler-vertical');
+        if (!this.horizontal || !this.vertical) return;
+
+        this.events.on('canvas:zoomed', () => this.render());
+        this.events.on('printArea:changed', () => this.render());
+
+        // Track selection extent (after snapping has moved the object)
+        ['selection:created', 'selection:updated', 'selection:cleared',
+            'object:moving', 'object:scaling', 'object:rotating', 'object:modified'
+        ].forEach(event => this.fabricCanvas.on(event, () => this.scheduleRender()));
+
+        // Edits from the properties panel
+        this.events.on('properties:update', () => this.scheduleRender());
+
+        this.render();
+    }
+
+    /**
+     * Get the unit to display and how many of them fit in one inch
+     * Respects admin's defaultUnit setting ('inches', 'cm' or 'px' at print DPI)
+     */
+    getUnit() {
+        const settings = productLoader.getSettings();
+
+        switch (settings.defaultUnit) {
+            case 'cm':
+                return { label: 'cm', perInch: 2.54, subdivisions: 10 };
+            case 'px':
+                return { label: 'px', perInch: settings.defaultDPI || 300, subdivisions: 5 };
+            default:
+                return { label: 'in', perInch: 1, subdivisions: 4 };
+        }
+    }
+
+    /**
+     * Pick a "nice" major tick step (1, 2, 5 × 10^n units) at least minPx apart on screen
+     */
+    getMajorStep(pxPerUnit, minPx = 50) {
+        const raw = minPx / pxPerUnit;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        for (const factor of [1, 2, 5, 10]) {
+            if (factor * magnitude >= raw) return factor * magnitude;
+        }
+        return 10 * magnitude;
+    }
+
+    /**
+     * Resize a ruler canvas for crisp drawing on high-DPI screens
+     */
+    sizeRuler(el, width, height) {
+        const ratio = window.devicePixelRatio || 1;
+        el.width = Math.round(width * ratio);
+        el.height = Math.round(height * ratio);
+        el.style.width = `${width}px`;
+        el.style.height = `${height}px`;
+
+        const ctx = el.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return ctx;
+    }
+
+    /**
+     * Redraw on the next frame (a drag fires several events per frame)
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Redraw both rulers
+     */
+    render() {
+        if (!this.horizontal || !this.vertical) return;
+
+        const width = this.fabricCanvas.getWidth();
+        const height = this.fabricCanvas.getHeight();
+        const vpt = this.fabricCanvas.viewportTransform;
+        const zoom = vpt[0];
+
+        const bounds = this.canvas.getPrintAreaBounds();
+        const unit = this.getUnit();
+        const pxPerInch = this.canvas.printAreaDPI || 72;
+        const pxPerUnit = (pxPerInch / unit.perInch) * zoom;  // Screen pixels per unit
+
+        // Ruler zero sits at the print area origin
+        const originX = (bounds ? bounds.left : 0) * zoom + vpt[4];
+        const originY = (bounds ? bounds.top : 0) * zoom + vpt[5];
+
+        const printArea = bounds ? {
+            x: [originX, originX + bounds.width * zoom],
+            y: [originY, originY + bounds.height * zoom]
+        } : null;
+
+        let selection = null;
+        const active = this.fabricCanvas.getActiveObject();
+        if (active) {
+            const rect = active.getBoundingRect();  // Already in screen space
+            selection = {
+                x: [rect.left, rect.left + rect.width],
+                y: [rect.top, rect.top + rect.height]
+            };
+        }
+
+        const hCtx = this.sizeRuler(this.horizontal, width, this.size);
+        this.drawRuler(hCtx, 'horizontal', width, originX, pxPerUnit, unit, printArea?.x, selection?.x);
+
+        const vCtx = this.sizeRuler(this.vertical, this.size, height);
+        this.drawRuler(vCtx, 'vertical', height, originY, pxPerUnit, unit, printArea?.y, selection?.y);
+    }
+
+    /**
+     * Draw one ruler
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} orientation - 'horizontal' or 'vertical'
+     * @param {number} length - Ruler length in screen pixels
+     * @param {number} origin - Screen position of zero
+     * @param {number} pxPerUnit - Screen pixels per display unit
+     * @param {Object} unit - Unit info from getUnit()
+     * @param {Array} [printRange] - [start, end] of print area in screen pixels
+     * @param {Array} [selectionRange] - [start, end] of selected object in screen pixels
+     */
+    drawRuler(ctx, orientation, length, origin, pxPerUnit, unit, printRange, selectionRange) {
+        const isHorizontal = orientation === 'horizontal';
+        const size = this.size;
+
+        // Draw a band across the ruler's thickness between two positions
+        const band = (start, end, color) => {
+            ctx.fillStyle = color;
+            if (isHorizontal) {
+                ctx.fillRect(start, 0, end - start, size);
+            } else {
+                ctx.fillRect(0, start, size, end - start);
+            }
+        };
+
+        band(0, length, this.colors.background);
+        if (printRange) band(printRange[0], printRange[1], this.colors.printArea);
+        if (selectionRange) band(selectionRange[0], selectionRange[1], this.colors.selection);
+
+        const major = this.getMajorStep(pxPerUnit);
+        const minor = major / unit.subdivisions;
+        const drawMinor = minor * pxPerUnit >= 4;
+        const step = drawMinor ? minor : major;
+
+        ctx.strokeStyle = this.colors.tick;
+        ctx.fillStyle = this.colors.label;
+        ctx.font = '9px Arial';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        const first = Math.floor(-origin / pxPerUnit / step) * step;
+        const last = (length - origin) / pxPerUnit;
+
+        for (let value = first; value <= last; value += step) {
+            const pos = Math.round(origin + value * pxPerUnit) + 0.5;
+            const index = Math.round(value / step);
+            const isMajor = !drawMinor || index % unit.subdivisions === 0;
+            const tick = isMajor ? size * 0.6 : size * 0.25;
+
+            if (isHorizontal) {
+                ctx.moveTo(pos, size);
+                ctx.lineTo(pos, size - tick);
+            } else {
+                ctx.moveTo(size, pos);
+                ctx.lineTo(size - tick, pos);
+            }
+
+            if (isMajor) {
+                const label = String(parseFloat(value.toFixed(2)));
+                if (isHorizontal) {
+                    ctx.fillText(label, pos + 2, 9);
+                } else {
+                    ctx.save();
+                    ctx.translate(9, pos + 2);
+                    ctx.rotate(Math.PI / 2);
+                    ctx.fillText(label, 0, 0);
+                    ctx.restore();
+                }
+            }
+        }
+
+        ctx.stroke();
+
+        // Unit label in the corner
+        if (isHorizontal) {
+            ctx.fillStyle = this.colors.label;
+            ctx.fillText(unit.label, length - 14, size - 12);
+        }
+    }
+}
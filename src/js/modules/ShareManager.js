@@ -0,0 +1,241 @@
+/**
+ * ShareManager - Shareable design links
+ *
+ * Designs travel in the URL fragment when they fit: #design=<compressed JSON>,
+ * uploaded images embedded. Larger designs are stored under a share token
+ * instead - #share=<token> - with images kept as references in blob storage.
+ * Tokens resolve through the storage backend, so they're only handed out when
+ * that's the shared REST server; elsewhere such a design can't be shared.
+ * Stored shares are kept for SHARE_MAX_AGE, at most MAX_SHARES of them.
+ *
+ * Product images are never included: the product is referenced by id and the
+ * color by colorId, only the customer's objects per view are sent along.
+ */
+
+import { storage } from '../core/Storage.js';
+import { migrations } from '../core/Migrations.js';
+
+const MAX_FRAGMENT_LENGTH = 8000;   // Stay well below URL limits of browsers, chat apps and mail clients
+const MAX_SHARES = 200;
+const SHARE_MAX_AGE = 90 * 24 * 60 * 60 * 1000;  // 90 days
+
+export class ShareManager {
+    constructor(designer) {
+        this.designer = designer;
+        this.events = window.designerEvents;
+        this.key = 'shares';
+
+        this.init();
+    }
+
+    /**
+     * Initialize sharing
+     */
+    init() {
+        // A link pasted into the address bar of an open designer only changes the fragment
+        window.addEventListener('hashchange', () => this.openFromUrl());
+    }
+
+    // =========================================================================
+    // Creating links
+    // =========================================================================
+
+    /**
+     * Create a link that opens the current design
+     * @returns {Promise<Object>} - { url }, or { url: null, reason } when the design can't be shared
+     */
+    async createLink() {
+        const payload = this.buildPayload();
+        if (!payload.productId && Object.keys(payload.stages).length === 0) {
+            return { url: null, reason: 'Select a product or add something to the design first.' };
+        }
+
+        const base = location.href.split('#')[0];
+
+        const portable = this.hasEmbeddedImages(payload) ? await storage.embedImages(payload) : payload;
+        const encoded = await this.encode(portable);
+        if (encoded.length <= MAX_FRAGMENT_LENGTH) {
+            return { url: `${base}#design=${encoded}` };
+        }
+
+        if (!this.canStoreShares()) {
+            return {
+                url: null,
+                reason: 'This design is too large for a link (uploaded images make it grow quickly). ' +
+                    'Download it as a file and send that instead.'
+            };
+        }
+
+        const token = await this.storeShare(payload);
+        return { url: `${base}#share=${token}` };
+    }
+
+    /**
+     * Share tokens only open elsewhere when shares live on the shared server
+     */
+    canStoreShares() {
+        return Boolean(storage.adapter?.shared);
+    }
+
+    /**
+     * Minimal design: product by id, color by id, objects per view
+     */
+    buildPayload() {
+        const design = this.designer.getDesignData();
+
+        const stages = {};
+        Object.entries(design.stages || {}).forEach(([id, stage]) => {
+            if (stage.designState?.length > 0) {
+                stages[id] = { label: stage.label, designState: stage.designState };
+            }
+        });
+
+        return {
+            schemaVersion: design.schemaVersion,
+            productId: design.productId || null,
+            productName: design.productName || null,
+            order: { colorId: design.order?.colorId || null },
+            stages
+        };
+    }
+
+    /**
+     * Uploaded images (data/object URLs) have to be embedded to travel in a link
+     */
+    hasEmbeddedImages(payload) {
+        let found = false;
+        storage.mapStrings(payload.stages, (str) => {
+            if (str.startsWith('data:') || str.startsWith('blob:')) found = true;
+            return str;
+        });
+        return found;
+    }
+
+    /**
+     * Store a design under a token; sharing the same design again reuses its token
+     * @returns {Promise<string>} - Share token
+     */
+    async storeShare(design) {
+        const now = Date.now();
+        const shares = (storage.get(this.key) || [])
+            .filter(share => now - share.createdAt < SHARE_MAX_AGE);
+
+        const json = JSON.stringify(design);
+        const existing = shares.find(share => JSON.stringify(share.design) === json);
+        if (existing) return existing.id;
+
+        const token = this.generateToken();
+        shares.push({ id: token, createdAt: now, design });
+
+        await storage.set(this.key, shares.slice(-MAX_SHARES));
+        return token;
+    }
+
+    // =========================================================================
+    // Opening links
+    // =========================================================================
+
+    /**
+     * Open the design referenced by the URL fragment, if any
+     * @returns {Promise<boolean>} - Whether a shared design was opened
+     */
+    async openFromUrl() {
+        const params = new URLSearchParams(location.hash.slice(1));
+        const encoded = params.get('design');
+        const token = params.get('share');
+        if (!encoded && !token) return false;
+
+        let design = null;
+        try {
+            design = encoded ? await this.decode(encoded) : await this.getShare(token);
+        } catch (error) {
+            console.error('Could not read shared design:', error);
+        }
+
+        // Reloading should show the customer's edits (autosave), not the original link
+        history.replaceState(null, '', location.href.split('#')[0]);
+
+        // Links are crafted outside the designer - same checks as opened files
+        const errors = design ? migrations.validateDesign(design, { requireStages: false }) : [];
+        if (errors.length > 0) {
+            console.warn('Invalid shared design:', errors);
+            design = null;
+        }
+
+        if (!design) {
+            alert('This design link is invalid or no longer available.');
+            return false;
+        }
+
+        if (design.productId && !this.designer.productLoader.getProduct(design.productId)) {
+            alert('The product in this design link is no longer available.');
+            return false;
+        }
+
+        if (this.designer.modules.stages.hasDesignContent() &&
+            !confirm('Open the shared design? Your current design will be replaced.')) {
+            return false;
+        }
+
+        this.designer.restoreDesign(migrations.migrateDesign(design));
+        this.events.emit('design:shareOpened', { productId: design.productId, token });
+        return true;
+    }
+
+    /**
+     * A stored share - usually someone else's, looked up on the shared server
+     */
+    async getShare(token) {
+        return (await storage.getRecord(this.key, token))?.design || null;
+    }
+
+    // =========================================================================
+    // Encoding (deflate + base64url; plain base64url where CompressionStream is missing)
+    // =========================================================================
+
+    async encode(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+
+        if (!window.CompressionStream) {
+            return 'j' + this.toBase64Url(bytes);
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return 'z' + this.toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+    }
+
+    async decode(encoded) {
+        const format = encoded[0];
+        let bytes = this.fromBase64Url(encoded.slice(1));
+
+        if (format === 'z') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else if (format !== 'j') {
+            throw new Error(`Unknown design link format: ${format}`);
+        }
+
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(str) {
+        const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    generateToken() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+    }
+}
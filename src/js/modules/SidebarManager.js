@@ -185,14 +185,21 @@ export class SidebarManager {
             curved: {
                 text: 'Curved Text',
                 fontSize: 24,
-                fontStyle: 'italic',
-                fontFamily: 'Georgia'
+                fontFamily: 'Georgia',
+                curved: true,
+                radius: 100,
+                spacing: 0
             }
         };
 
         const preset = presets[type];
-        if (preset) {
-            this.canvas.addText(preset.text, preset);
+        if (!preset) return;
+
+        const { text, curved, ...options } = preset;
+        if (curved) {
+            this.canvas.addCurvedText(text, options);
+        } else {
+            this.canvas.addText(text, options);
         }
     }
 
@@ -217,7 +224,7 @@ export class SidebarManager {
                 if (obj) {
                     obj.set('fill', color);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Change color' });
                 }
             });
         });
@@ -350,7 +357,7 @@ export class SidebarManager {
 
                 obj.setSrc(dataUrl, () => {
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Replace image' });
                     console.log(`Image replaced: ${tempImg.naturalWidth}x${tempImg.naturalHeight}px original`);
                 });
             };
@@ -398,7 +405,7 @@ export class SidebarManager {
 
                     obj.set({ left: newLeft, top: newTop });
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: `Move ${this.canvas.getObjectLabel(obj)}` });
                 }
             });
         });
@@ -430,7 +437,7 @@ export class SidebarManager {
                         scaleY: newHeightPx / obj.height
                     });
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: `Resize ${this.canvas.getObjectLabel(obj)}` });
                 }
             });
         });
@@ -441,7 +448,7 @@ export class SidebarManager {
             if (obj) {
                 obj.set('angle', parseFloat(propRotation.value));
                 this.canvas.render();
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: `Rotate ${this.canvas.getObjectLabel(obj)}` });
             }
         });
 
@@ -455,7 +462,7 @@ export class SidebarManager {
             }
         });
         propOpacity?.addEventListener('change', () => {
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Change opacity' });
         });
 
         // Action buttons
@@ -652,7 +659,7 @@ export class SidebarManager {
             });
             obj.setCoords();
             this.canvas.render();
-            this.events.emit('history:save');
+            this.events.emit('history:save', { label: 'Trim transparency' });
             this.events.emit('properties:update', obj);
         });
     }
@@ -705,7 +712,7 @@ export class SidebarManager {
 
         obj.setCoords();
         this.canvas.render();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: 'Scale to print area' });
         this.events.emit('properties:update', obj);
 
         console.log(`Max size: scaled to ${(newWidth / bounds.width * 100).toFixed(0)}% of print area width, ${(newHeight / bounds.height * 100).toFixed(0)}% of height`);
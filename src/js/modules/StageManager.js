@@ -12,6 +12,7 @@ export class StageManager {
 
         this.stages = new Map();
         this.currentStage = null;
+        this.loading = false;     // Canvas doesn't show the current stage's design yet
         this.productData = null;  // Holds loaded product data
 
         this.init();
@@ -219,11 +220,14 @@ export class StageManager {
         }
 
         // Restore user's design for this stage (after a short delay to let product load)
+        this.loading = true;
+        const pendingLoad = this.pendingLoad;
         setTimeout(() => {
-            if (stage.designState) {
-                this.loadStageDesign(stageId);
-            }
-            this.events.emit('layers:update');
+            if (this.currentStage !== stageId) return;  // Switched again meanwhile
+            if (this.pendingLoad !== pendingLoad) return;  // Already loaded meanwhile (loadStagesData)
+
+            // Also for a stage without a design yet: clears the previous stage's objects
+            this.loadStageDesign(stageId);
         }, 100);
 
         this.events.emit('stage:switched', stageId);
@@ -236,14 +240,18 @@ export class StageManager {
         const stage = this.stages.get(this.currentStage);
         if (!stage) return;
 
+        // Mid-switch the canvas still holds another stage's objects
+        if (this.loading) return;
+
         // Get only design objects (not product image, print area markers)
         const designObjects = this.canvasManager.getDesignObjects();
 
-        // Serialize design objects
-        stage.designState = designObjects.map(obj => obj.toJSON([
+        // Serialize design objects (in canvas coordinates, also while multi-selected)
+        stage.designState = designObjects.map(obj => this.canvasManager.serializeObject(obj, [
             'id', 'name', 'selectable', 'evented', 'lockMovementX', 'lockMovementY',
             'lockRotation', 'lockScalingX', 'lockScalingY', 'hasControls',
-            '_originalSrc', '_originalWidth', '_originalHeight', 'isClipart'
+            '_originalSrc', '_originalWidth', '_originalHeight', 'isClipart',
+            'historyId'  // Ties the objects to their undo stack (HistoryManager.restoreStack)
         ]));
 
         // Generate thumbnail
@@ -252,23 +260,31 @@ export class StageManager {
 
     /**
      * Load stage's design objects
+     * Replaces the design objects on the canvas; a newer load cancels a pending one
      */
     loadStageDesign(stageId) {
         const stage = this.stages.get(stageId);
-        if (!stage || !stage.designState) return;
+        if (!stage) return;
 
         const fabricCanvas = this.canvasManager.fabricCanvas;
+        const loadId = this.pendingLoad = Symbol(stageId);
+        this.loading = true;
 
-        // Load each design object
-        stage.designState.forEach(objData => {
-            fabric.util.enlivenObjects([objData], (objects) => {
-                objects.forEach(obj => {
-                    // Apply clipping path
-                    this.canvasManager.applyClipPathToObject(obj);
-                    fabricCanvas.add(obj);
-                });
-                fabricCanvas.renderAll();
+        this.canvasManager.getDesignObjects().forEach(obj => fabricCanvas.remove(obj));
+
+        // Enliven all at once to keep stacking order
+        fabric.util.enlivenObjects(stage.designState || [], (objects) => {
+            if (this.pendingLoad !== loadId) return;
+            this.loading = false;
+
+            objects.forEach(obj => {
+                // Apply clipping path
+                this.canvasManager.applyClipPathToObject(obj);
+                fabricCanvas.add(obj);
             });
+            fabricCanvas.renderAll();
+            this.events.emit('layers:update');
+            this.events.emit('stage:loaded', stageId);
         });
     }
 
@@ -305,6 +321,27 @@ export class StageManager {
         return data;
     }
 
+    /**
+     * Get every stage's view and design objects (for exporters)
+     * @returns {Array} - [{ id, label, view: { id, name, image, printArea }, objects }]
+     */
+    getStagesForExport() {
+        // Make sure current stage is saved
+        this.saveCurrentStageDesign();
+
+        return Array.from(this.stages.values()).map(stage => ({
+            id: stage.id,
+            label: stage.label,
+            view: {
+                id: stage.id,
+                name: stage.label,
+                image: stage.viewData.image,
+                printArea: stage.viewData.printArea
+            },
+            objects: stage.designState || []
+        }));
+    }
+
     /**
      * Load stages data (from saved design)
      */
@@ -95,6 +95,30 @@ export class ToolbarManager {
         this.updateToggleButton('bold', obj.fontWeight === 'bold');
         this.updateToggleButton('italic', obj.fontStyle === 'italic');
         this.updateToggleButton('underline', obj.underline === true);
+
+        // Curved text settings (only visible for curved text)
+        const isCurved = obj.type === 'curved-text';
+        this.toolbar.querySelectorAll('.curved-text-tools').forEach(el => {
+            el.style.display = isCurved ? 'flex' : 'none';
+        });
+
+        if (isCurved) {
+            const curveText = document.getElementById('curve-text');
+            const curveRadius = document.getElementById('curve-radius');
+            const curveSpacing = document.getElementById('curve-spacing');
+
+            if (curveText) curveText.value = obj.text || '';
+            if (curveRadius) curveRadius.value = obj.radius;
+            if (curveSpacing) curveSpacing.value = obj.spacing;
+            this.updateToggleButton('curve-flip', obj.flipped === true);
+        }
+    }
+
+    /**
+     * Check if object supports font editing (regular or curved text)
+     */
+    isTextObject(obj) {
+        return obj && (obj.type === 'i-text' || obj.type === 'curved-text');
     }
 
     /**
@@ -163,30 +187,30 @@ export class ToolbarManager {
                 break;
             case 'toggle-grid':
                 btn.classList.toggle('active');
-                this.events.emit('canvas:toggleGrid');
+                this.events.emit('canvas:toggleGrid', btn.classList.contains('active'));
                 break;
             case 'toggle-guides':
-                // Guides disabled - Lumise doesn't use snap guides during movement
                 btn.classList.toggle('active');
+                this.events.emit('canvas:toggleGuides', btn.classList.contains('active'));
                 break;
 
             // Text tools
             case 'bold':
-                if (obj && obj.type === 'i-text') {
+                if (this.isTextObject(obj)) {
                     const isBold = obj.fontWeight === 'bold';
                     obj.set('fontWeight', isBold ? 'normal' : 'bold');
                     btn.classList.toggle('active', !isBold);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Bold' });
                 }
                 break;
             case 'italic':
-                if (obj && obj.type === 'i-text') {
+                if (this.isTextObject(obj)) {
                     const isItalic = obj.fontStyle === 'italic';
                     obj.set('fontStyle', isItalic ? 'normal' : 'italic');
                     btn.classList.toggle('active', !isItalic);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Italic' });
                 }
                 break;
             case 'underline':
@@ -194,28 +218,36 @@ export class ToolbarManager {
                     obj.set('underline', !obj.underline);
                     btn.classList.toggle('active', obj.underline);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Underline' });
                 }
                 break;
             case 'align-left':
                 if (obj && obj.type === 'i-text') {
                     obj.set('textAlign', 'left');
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Align text left' });
                 }
                 break;
             case 'align-center':
                 if (obj && obj.type === 'i-text') {
                     obj.set('textAlign', 'center');
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Align text center' });
                 }
                 break;
             case 'align-right':
                 if (obj && obj.type === 'i-text') {
                     obj.set('textAlign', 'right');
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Align text right' });
+                }
+                break;
+            case 'curve-flip':
+                if (obj && obj.type === 'curved-text') {
+                    obj.set('flipped', !obj.flipped);
+                    btn.classList.toggle('active', obj.flipped);
+                    this.canvas.render();
+                    this.events.emit('history:save', { label: 'Flip curved text' });
                 }
                 break;
 
@@ -227,14 +259,14 @@ export class ToolbarManager {
                 if (obj) {
                     obj.set('flipX', !obj.flipX);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Flip horizontal' });
                 }
                 break;
             case 'flip-v':
                 if (obj) {
                     obj.set('flipY', !obj.flipY);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Flip vertical' });
                 }
                 break;
 
@@ -242,6 +274,15 @@ export class ToolbarManager {
             case 'group':
                 this.canvas.group();
                 break;
+            case 'align-objects':
+                this.canvas.alignSelected(btn.dataset.align, document.getElementById('align-relative')?.value);
+                break;
+            case 'distribute-h':
+                this.canvas.distributeSelected('horizontal');
+                break;
+            case 'distribute-v':
+                this.canvas.distributeSelected('vertical');
+                break;
             case 'delete-selected':
                 this.canvas.deleteSelected();
                 break;
@@ -257,10 +298,10 @@ export class ToolbarManager {
         if (fontFamily) {
             fontFamily.addEventListener('change', (e) => {
                 const obj = this.canvas.getSelected();
-                if (obj && obj.type === 'i-text') {
+                if (this.isTextObject(obj)) {
                     obj.set('fontFamily', e.target.value);
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Change font' });
                 }
             });
         }
@@ -270,10 +311,10 @@ export class ToolbarManager {
         if (fontSize) {
             fontSize.addEventListener('change', (e) => {
                 const obj = this.canvas.getSelected();
-                if (obj && obj.type === 'i-text') {
+                if (this.isTextObject(obj)) {
                     obj.set('fontSize', parseInt(e.target.value));
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Change font size' });
                 }
             });
         }
@@ -283,13 +324,56 @@ export class ToolbarManager {
         if (textColor) {
             textColor.addEventListener('input', (e) => {
                 const obj = this.canvas.getSelected();
-                if (obj && obj.type === 'i-text') {
+                if (this.isTextObject(obj)) {
                     obj.set('fill', e.target.value);
                     this.canvas.render();
                 }
             });
             textColor.addEventListener('change', () => {
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: 'Change text color' });
+            });
+        }
+
+        // Curved text content
+        const curveText = document.getElementById('curve-text');
+        if (curveText) {
+            curveText.addEventListener('input', (e) => {
+                const obj = this.canvas.getSelected();
+                if (obj && obj.type === 'curved-text') {
+                    obj.set('text', e.target.value);
+                    this.canvas.render();
+                }
+            });
+            curveText.addEventListener('change', () => {
+                this.events.emit('history:save', { label: 'Edit curved text' });
+            });
+        }
+
+        // Curved text radius
+        const curveRadius = document.getElementById('curve-radius');
+        if (curveRadius) {
+            curveRadius.addEventListener('input', (e) => {
+                const obj = this.canvas.getSelected();
+                if (obj && obj.type === 'curved-text') {
+                    obj.set('radius', parseInt(e.target.value));
+                    this.canvas.render();
+                }
+            });
+            curveRadius.addEventListener('change', () => {
+                this.events.emit('history:save', { label: 'Change curve radius' });
+            });
+        }
+
+        // Curved text letter spacing
+        const curveSpacing = document.getElementById('curve-spacing');
+        if (curveSpacing) {
+            curveSpacing.addEventListener('change', (e) => {
+                const obj = this.canvas.getSelected();
+                if (obj && obj.type === 'curved-text') {
+                    obj.set('spacing', parseFloat(e.target.value) || 0);
+                    this.canvas.render();
+                    this.events.emit('history:save', { label: 'Change letter spacing' });
+                }
             });
         }
 
@@ -304,7 +388,7 @@ export class ToolbarManager {
                 }
             });
             imageOpacity.addEventListener('change', () => {
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: 'Change opacity' });
             });
         }
 
@@ -330,7 +414,7 @@ export class ToolbarManager {
                 }
             });
             shapeFill.addEventListener('change', () => {
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: 'Change fill color' });
             });
         }
 
@@ -345,7 +429,7 @@ export class ToolbarManager {
                 }
             });
             shapeStroke.addEventListener('change', () => {
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: 'Change stroke color' });
             });
         }
 
@@ -357,7 +441,7 @@ export class ToolbarManager {
                 if (obj) {
                     obj.set('strokeWidth', parseInt(e.target.value));
                     this.canvas.render();
-                    this.events.emit('history:save');
+                    this.events.emit('history:save', { label: 'Change stroke width' });
                 }
             });
         }
@@ -373,7 +457,7 @@ export class ToolbarManager {
                 }
             });
             shapeOpacity.addEventListener('change', () => {
-                this.events.emit('history:save');
+                this.events.emit('history:save', { label: 'Change opacity' });
             });
         }
     }
@@ -402,6 +486,6 @@ export class ToolbarManager {
 
         obj.applyFilters();
         this.canvas.render();
-        this.events.emit('history:save');
+        this.events.emit('history:save', { label: obj.filters.length > 0 ? `Apply ${filterType} filter` : 'Remove filters' });
     }
 }
@@ -0,0 +1,179 @@
+/**
+ * PdfWriter - Minimal client-side PDF generator (no dependencies, no network)
+ * Supports pages of any size, JPEG images, Helvetica text, lines and filled rectangles.
+ * Coordinates are in points (1/72 inch) from the page's top-left corner.
+ */
+
+export class PdfWriter {
+    constructor() {
+        this.pages = [];
+        this.images = [];
+    }
+
+    /**
+     * Add a page
+     * @param {number} width - Page width in points
+     * @param {number} height - Page height in points
+     * @returns {Object} - Page handle for drawing calls
+     */
+    addPage(width, height) {
+        const page = { width, height, content: [], images: new Set() };
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Register a JPEG image
+     * @param {string} dataUrl - JPEG data URL
+     * @param {number} width - Pixel width
+     * @param {number} height - Pixel height
+     * @returns {string} - Image resource name
+     */
+    addJpeg(dataUrl, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        this.images.push({ name, bytes, width, height });
+        return name;
+    }
+
+    /**
+     * Draw a registered image
+     */
+    drawImage(page, name, x, y, width, height) {
+        page.images.add(name);
+        page.content.push(`q ${this.num(width)} 0 0 ${this.num(height)} ${this.num(x)} ${this.num(page.height - y - height)} cm /${name} Do Q`);
+    }
+
+    /**
+     * Draw a line of text (y is the baseline)
+     * @param {Object} options - { size, bold, color: [r, g, b] (0-1) }
+     */
+    text(page, str, x, y, options = {}) {
+        const { size = 12, bold = false, color = [0, 0, 0] } = options;
+        const font = bold ? 'F2' : 'F1';
+        page.content.push(
+            `BT ${color.map(c => this.num(c)).join(' ')} rg /${font} ${size} Tf ${this.num(x)} ${this.num(page.height - y)} Td (${this.escapeText(str)}) Tj ET`
+        );
+    }
+
+    /**
+     * Draw a filled rectangle
+     * @param {Array} color - [r, g, b] (0-1)
+     */
+    fillRect(page, x, y, width, height, color = [0, 0, 0]) {
+        page.content.push(
+            `q ${color.map(c => this.num(c)).join(' ')} rg ${this.num(x)} ${this.num(page.height - y - height)} ${this.num(width)} ${this.num(height)} re f Q`
+        );
+    }
+
+    /**
+     * Draw a straight line
+     */
+    line(page, x1, y1, x2, y2, color = [0.8, 0.8, 0.8], width = 0.5) {
+        page.content.push(
+            `q ${color.map(c => this.num(c)).join(' ')} RG ${this.num(width)} w ${this.num(x1)} ${this.num(page.height - y1)} m ${this.num(x2)} ${this.num(page.height - y2)} l S Q`
+        );
+    }
+
+    /**
+     * Build the PDF file
+     * @returns {Blob}
+     */
+    toBlob() {
+        const objects = [];  // Each entry: array of string / Uint8Array parts
+        const reserve = () => objects.push(null);
+        const set = (id, ...parts) => { objects[id - 1] = parts; };
+        const add = (...parts) => objects.push(parts);
+
+        reserve();  // 1: Catalog
+        reserve();  // 2: Pages
+        set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+
+        const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const imageIds = {};
+        this.images.forEach(image => {
+            imageIds[image.name] = add(
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+                image.bytes,
+                '\nendstream'
+            );
+        });
+
+        const pageIds = this.pages.map(page => {
+            const content = page.content.join('\n');
+            const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+            const xObjects = [...page.images].map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+            return add(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(page.width)} ${this.num(page.height)}] ` +
+                `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> /XObject << ${xObjects} >> >> ` +
+                `/Contents ${contentId} 0 R >>`
+            );
+        });
+
+        set(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+        // Serialize with byte offsets for the cross-reference table
+        const chunks = [];
+        let offset = 0;
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? this.toBytes(part) : part;
+            chunks.push(bytes);
+            offset += bytes.length;
+        };
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+        const offsets = objects.map((parts, index) => {
+            const start = offset;
+            write(`${index + 1} 0 obj\n`);
+            parts.forEach(write);
+            write('\nendobj\n');
+            return start;
+        });
+
+        const xrefOffset = offset;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(start => write(`${String(start).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Escape text for a PDF string literal (WinAnsi / Latin-1 only)
+     */
+    escapeText(str) {
+        return String(str)
+            .replace(/[^\x20-\xFF]/g, '?')
+            .replace(/\\/g, '\\\\')
+            .replace(/\(/g, '\\(')
+            .replace(/\)/g, '\\)');
+    }
+
+    /**
+     * Encode a string one byte per character (Latin-1)
+     */
+    toBytes(str) {
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * Format a number for PDF operators
+     */
+    num(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+}
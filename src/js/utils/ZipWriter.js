@@ -0,0 +1,139 @@
+/**
+ * ZipWriter - Minimal client-side ZIP archive builder (no dependencies)
+ * Files are stored uncompressed: print PNGs are already compressed, and
+ * "stored" entries keep the writer small and fast.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive (use '/' for folders)
+     * @param {string|Uint8Array|Blob} data - Text (UTF-8 encoded) or binary content
+     */
+    async addFile(name, data) {
+        let bytes;
+        if (typeof data === 'string') {
+            bytes = new TextEncoder().encode(data);
+        } else if (data instanceof Blob) {
+            bytes = new Uint8Array(await data.arrayBuffer());
+        } else {
+            bytes = data;
+        }
+
+        this.files.push({
+            name: new TextEncoder().encode(name),
+            bytes,
+            crc: this.crc32(bytes),
+            date: new Date()
+        });
+    }
+
+    /**
+     * Add a file from a data URL (e.g. canvas.toDataURL output)
+     */
+    addDataURL(name, dataUrl) {
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return this.addFile(name, bytes);
+    }
+
+    /**
+     * Build the archive
+     * @returns {Blob}
+     */
+    toBlob() {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const { time, date } = this.dosDateTime(file.date);
+
+            // Local file header
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);               // Version needed
+            local.setUint16(6, 0x0800, true);           // UTF-8 names
+            local.setUint16(8, 0, true);                // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.bytes.length, true);
+            local.setUint32(22, file.bytes.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);
+
+            chunks.push(new Uint8Array(local.buffer), file.name, file.bytes);
+
+            // Central directory entry
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);               // Version made by
+            entry.setUint16(6, 20, true);               // Version needed
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.bytes.length, true);
+            entry.setUint32(24, file.bytes.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);          // Local header offset
+
+            central.push(new Uint8Array(entry.buffer), file.name);
+            offset += 30 + file.name.length + file.bytes.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+
+        // End of central directory
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 checksum
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a date to MS-DOS time/date fields
+     */
+    dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+}